@@ -0,0 +1,120 @@
+/**
+ * @typedef {import('../handlers/session.js').SessionPayload} SessionPayload
+ */
+
+/**
+ * Maximum expiry in seconds (1 hour) of operations without a configured maximum.
+ */
+export const DEFAULT_MAX_EXPIRY = 3600;
+
+/**
+ * Check if the value is a valid expiry in seconds.
+ * @param {unknown} value - Value.
+ * @returns {boolean} Result.
+ */
+export const isExpiry = (value) =>
+  typeof value === 'number' && Number.isInteger(value) && value > 0;
+
+/**
+ * Parse the `PRESIGN_MAX_EXPIRY` environment variable and get the maximum expiry of an operation.
+ * The variable is either a number of seconds that applies to all operations, or a JSON object
+ * mapping operations to seconds with `*` for the other operations, e.g.
+ * `{ "GET": 86400, "*": 900 }`.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {string} operation - Operation, e.g. `GET`.
+ * @returns {number} Maximum expiry in seconds.
+ * @throws {Error} If the variable is not valid.
+ */
+export function getMaxExpiry(env, operation) {
+  const { PRESIGN_MAX_EXPIRY } = env;
+
+  if (!PRESIGN_MAX_EXPIRY) {
+    return DEFAULT_MAX_EXPIRY;
+  }
+
+  let config;
+
+  try {
+    config = JSON.parse(PRESIGN_MAX_EXPIRY);
+  } catch {
+    throw new Error('PRESIGN_MAX_EXPIRY must be a number or valid JSON');
+  }
+
+  if (isExpiry(config)) {
+    return config;
+  }
+
+  if (
+    !config ||
+    typeof config !== 'object' ||
+    Array.isArray(config) ||
+    !Object.values(config).every(isExpiry)
+  ) {
+    throw new Error('PRESIGN_MAX_EXPIRY must map operations to positive integers');
+  }
+
+  return config[operation] ?? config['*'] ?? DEFAULT_MAX_EXPIRY;
+}
+
+/**
+ * Get the expiry of a presigned URL. The requested expiry is clamped to the maximum of the
+ * operation and the provider, and a URL never outlives the session it was issued for.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {SessionPayload} session - Session.
+ * @param {object} args - Arguments.
+ * @param {string} args.operation - Operation, e.g. `GET`.
+ * @param {number} args.requested - Requested expiry in seconds.
+ * @param {number} args.providerMax - Longest expiry in seconds the storage provider accepts.
+ * @returns {number} Expiry in seconds.
+ * @throws {Error} If `PRESIGN_MAX_EXPIRY` is not valid.
+ */
+export function getExpiry(env, session, { operation, requested, providerMax }) {
+  const sessionRemaining = session.exp - Math.floor(Date.now() / 1000);
+
+  return Math.max(
+    1,
+    Math.min(requested, getMaxExpiry(env, operation), providerMax, sessionRemaining),
+  );
+}
+
+/**
+ * Snap the signing time of a `GET` or `HEAD` URL to the start of a fixed window set by
+ * `PRESIGN_SIGNING_WINDOW`, so repeated requests for the same object in a window get byte-identical
+ * URLs that browser and HTTP caches can reuse. The lifetime is extended by one window, so the URL
+ * is still valid for at least the expiry from now. It never exceeds the provider’s limit or the
+ * session lifetime.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {SessionPayload} session - Session.
+ * @param {object} args - Arguments.
+ * @param {string} args.operation - Operation, e.g. `GET`.
+ * @param {number} args.expiresIn - Expiry in seconds from now, as returned by `getExpiry`.
+ * @param {number} args.providerMax - Longest expiry in seconds the storage provider accepts.
+ * @returns {{ signedAt?: Date, expiresIn: number, remaining: number }} Signing time, unless the
+ * current time is used, lifetime in seconds from the signing time, and remaining lifetime in
+ * seconds from now.
+ * @throws {Error} If `PRESIGN_SIGNING_WINDOW` is not valid.
+ */
+export function getSigningWindow(env, session, { operation, expiresIn, providerMax }) {
+  const { PRESIGN_SIGNING_WINDOW } = env;
+
+  if (!PRESIGN_SIGNING_WINDOW || (operation !== 'GET' && operation !== 'HEAD')) {
+    return { expiresIn, remaining: expiresIn };
+  }
+
+  const window = Number(PRESIGN_SIGNING_WINDOW);
+
+  if (!isExpiry(window)) {
+    throw new Error('PRESIGN_SIGNING_WINDOW must be a positive integer');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const start = now - (now % window);
+  // Only depends on the window start, so the URL stays the same during the window
+  const lifetime = Math.min(expiresIn + window, providerMax, session.exp - start);
+
+  return {
+    signedAt: new Date(start * 1000),
+    expiresIn: lifetime,
+    remaining: Math.max(1, start + lifetime - now),
+  };
+}
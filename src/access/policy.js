@@ -0,0 +1,163 @@
+/**
+ * @typedef {object} PolicyRule
+ * @property {string} [name] - Rule name used in denial messages. Defaults to `#<position>`.
+ * @property {'allow' | 'deny'} [effect] - Whether a matching request is allowed or denied
+ * (default: allow).
+ * @property {string[]} [users] - Logins the rule applies to. Any user if omitted.
+ * @property {string[]} [roles] - Roles the rule applies to. Any role if omitted.
+ * @property {string[]} [providers] - OAuth providers the rule applies to. Any provider if omitted.
+ * @property {string[]} [operations] - Operations the rule applies to. Any operation if omitted.
+ * @property {string[]} [targets] - Named storage targets the rule applies to. Any target,
+ * including requests without a target, if omitted.
+ * @property {string[]} paths - Path patterns. `*` matches within a path segment, `**` matches
+ * across segments, and `{login}`, `{sub}` and `{provider}` are replaced with the session values.
+ * @property {number} [maxSize] - Maximum size in bytes of files uploaded with a POST policy.
+ * @property {string[]} [contentTypes] - Content types allowed for POST policy and multipart
+ * uploads, e.g. `image/*`.
+ */
+
+/**
+ * @typedef {object} PolicyDecision
+ * @property {boolean} allowed - Whether the request is allowed.
+ * @property {string} [rule] - Name of the rule that decided, if any.
+ * @property {string} [reason] - Denial reason.
+ * @property {number} [maxSize] - Upload size limit of the allowing rule.
+ * @property {string[]} [contentTypes] - Content types allowed by the allowing rule.
+ */
+
+/**
+ * @typedef {import('../handlers/session.js').SessionPayload} SessionPayload
+ */
+
+/**
+ * Escape the given string for safe use in a regular expression.
+ * @param {string} str - Original string.
+ * @returns {string} Escaped string.
+ */
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse the `PRESIGN_POLICY` environment variable. It can be either an array of rules or an
+ * object with a `rules` array.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {PolicyRule[] | null} Rules, or `null` if no policy is configured.
+ * @throws {Error} If the policy is not valid.
+ */
+export function getPolicyRules(env) {
+  const { PRESIGN_POLICY } = env;
+
+  if (!PRESIGN_POLICY) {
+    return null;
+  }
+
+  let policy;
+
+  try {
+    policy = JSON.parse(PRESIGN_POLICY);
+  } catch {
+    throw new Error('PRESIGN_POLICY must be valid JSON');
+  }
+
+  const rules = Array.isArray(policy) ? policy : policy?.rules;
+
+  if (!Array.isArray(rules) || rules.some((rule) => !Array.isArray(rule?.paths))) {
+    throw new Error('PRESIGN_POLICY must contain a list of rules with paths');
+  }
+
+  return rules;
+}
+
+/**
+ * Convert a path pattern into a regular expression, filling in the session values. Returns
+ * `null` if the pattern refers to a value the session doesn’t have, so the rule cannot match.
+ * @param {string} pattern - Path pattern, e.g. `uploads/{login}/**`.
+ * @param {SessionPayload} session - Session.
+ * @returns {RegExp | null} Regular expression.
+ */
+const compilePattern = (pattern, session) => {
+  /** @type {Record<string, string | undefined>} */
+  const values = { login: session.login, sub: session.sub, provider: session.provider };
+  let source = '';
+
+  // eslint-disable-next-line no-restricted-syntax
+  for (const token of pattern.split(/(\*\*|\*|\{[a-z]+\})/)) {
+    if (token === '**') {
+      source += '.*';
+    } else if (token === '*') {
+      source += '[^/]*';
+    } else if (/^\{[a-z]+\}$/.test(token)) {
+      const value = values[token.slice(1, -1)];
+
+      // Don’t let an empty or nested value widen the pattern
+      if (!value || value.includes('/')) {
+        return null;
+      }
+
+      source += escapeRegExp(value);
+    } else {
+      source += escapeRegExp(token);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Check if the rule applies to the session, the operation and the target, regardless of the path.
+ * @param {PolicyRule} rule - Rule.
+ * @param {SessionPayload} session - Session.
+ * @param {string} operation - Operation.
+ * @param {string} [target] - Storage target name.
+ * @returns {boolean} Result.
+ */
+const isApplicable = (rule, session, operation, target) =>
+  (!rule.users || rule.users.includes(session.login ?? '')) &&
+  (!rule.roles || rule.roles.some((role) => session.roles?.includes(role))) &&
+  (!rule.providers || rule.providers.includes(session.provider)) &&
+  (!rule.operations || rule.operations.includes(operation)) &&
+  (!rule.targets || (!!target && rule.targets.includes(target)));
+
+/**
+ * Evaluate the presign policy for a request. Rules are evaluated in order and the first matching
+ * rule decides; a request no rule matches is denied. Everything is allowed if no policy is
+ * configured.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {SessionPayload} session - Session.
+ * @param {string} operation - Operation, e.g. `PUT`.
+ * @param {string} path - Object path relative to the storage target.
+ * @param {string} [target] - Storage target name, if a named target is used.
+ * @returns {PolicyDecision} Decision.
+ * @throws {Error} If the policy is not valid.
+ */
+export function evaluatePolicy(env, session, operation, path, target) {
+  const rules = getPolicyRules(env);
+
+  if (!rules) {
+    return { allowed: true };
+  }
+
+  const index = rules.findIndex(
+    (rule) =>
+      isApplicable(rule, session, operation, target) &&
+      rule.paths.some((pattern) => compilePattern(pattern, session)?.test(path)),
+  );
+
+  if (index === -1) {
+    return {
+      allowed: false,
+      reason: `No policy rule allows ${operation} on ${path}`,
+    };
+  }
+
+  const { name = `#${index + 1}`, effect = 'allow', maxSize, contentTypes } = rules[index];
+
+  if (effect === 'deny') {
+    return {
+      allowed: false,
+      rule: name,
+      reason: `Policy rule "${name}" denies ${operation} on ${path}`,
+    };
+  }
+
+  return { allowed: true, rule: name, maxSize, contentTypes };
+}
@@ -0,0 +1,20 @@
+/**
+ * Parse the `ALLOWED_REPOS` environment variable.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {string[]} Repositories allowed to use the authenticator, in lowercase.
+ */
+export const getAllowedRepos = (env) =>
+  (env.ALLOWED_REPOS ?? '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Check if a repository is listed in `ALLOWED_REPOS`. Only the permission on such a repository can
+ * be trusted, as any other repository may have been chosen by the user.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {string | undefined} repo - Repository, e.g. `owner/repo`.
+ * @returns {boolean} Result.
+ */
+export const isAllowedRepo = (env, repo) =>
+  !!repo && getAllowedRepos(env).includes(repo.toLowerCase());
@@ -0,0 +1,156 @@
+import { getMemberships } from '../backends/index.js';
+import { isAllowedRepo } from './repos.js';
+
+/**
+ * @typedef {'viewer' | 'editor' | 'admin'} Role
+ */
+
+/**
+ * @typedef {import('../backends/index.js').Backend} Backend
+ * @typedef {import('../backends/index.js').BackendUser} BackendUser
+ * @typedef {import('../backends/index.js').RepoPermission} RepoPermission
+ */
+
+/**
+ * Presign operations each role may perform.
+ * @type {Record<Role, string[]>}
+ */
+export const ROLE_OPERATIONS = {
+  viewer: ['GET', 'HEAD', 'LIST'],
+  editor: ['GET', 'HEAD', 'LIST', 'PUT'],
+  admin: ['GET', 'HEAD', 'LIST', 'PUT', 'DELETE'],
+};
+
+/**
+ * Supported roles.
+ * @type {string[]}
+ */
+export const ROLES = Object.keys(ROLE_OPERATIONS);
+
+/**
+ * Map a repository permission level to a role: repository admins and maintainers become admins,
+ * users with write access become editors, and everyone else becomes a viewer.
+ * @param {RepoPermission} permission - Permission level.
+ * @returns {Role} Role.
+ */
+const getRoleFromPermission = (permission) => {
+  if (permission === 'admin' || permission === 'maintain') {
+    return 'admin';
+  }
+
+  return permission === 'write' ? 'editor' : 'viewer';
+};
+
+/**
+ * Parse a JSON environment variable mapping keys to roles.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {string} name - Variable name.
+ * @returns {Record<string, string>} Role map. Empty if the variable is not defined.
+ * @throws {Error} If the variable is not a valid JSON object or contains an unknown role.
+ */
+const parseRoleMap = (env, name) => {
+  if (!env[name]) {
+    return {};
+  }
+
+  let map;
+
+  try {
+    map = JSON.parse(env[name]);
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    throw new Error(`${name} must be a JSON object`);
+  }
+
+  const invalid = Object.values(map).find((role) => !ROLES.includes(role));
+
+  if (invalid !== undefined) {
+    throw new Error(`${name} contains an unknown role: ${invalid}`);
+  }
+
+  return map;
+};
+
+/**
+ * Get the keys of a role map that apply to the given backend. Keys can be prefixed with a backend
+ * name, e.g. `gitlab:alice`, to only apply to that backend.
+ * @param {Record<string, string>} map - Role map.
+ * @param {string} provider - Backend name.
+ * @returns {[string, string][]} Unprefixed keys and roles.
+ */
+const getEntries = (map, provider) =>
+  Object.entries(map).flatMap(([key, role]) => {
+    const [, prefix, name] = key.match(/^(?:([a-z]+):)?(.+)$/) ?? [];
+
+    return !prefix || prefix === provider ? [[name, role]] : [];
+  });
+
+/**
+ * Determine the roles of a user signing in. Roles are collected from the permission on the CMS
+ * repository if it’s listed in `ALLOWED_REPOS`, the `ROLE_GROUPS` map of organizations, teams or
+ * groups, and the `ROLE_USERS` map of logins. Users without any matching role get `DEFAULT_ROLE`.
+ * @param {object} args - Arguments.
+ * @param {Backend} args.backend - Backend definition.
+ * @param {string} args.token - OAuth access token.
+ * @param {BackendUser} args.user - User.
+ * @param {string} [args.repo] - CMS repository the permission has been checked on.
+ * @param {RepoPermission} [args.permission] - User’s permission on the CMS repository, if checked.
+ * @param {{ [key: string]: string }} args.env - Environment variables.
+ * @returns {Promise<Role[]>} Roles.
+ * @throws {Error} If the role configuration is invalid.
+ */
+export async function resolveRoles({ backend, token, user, repo, permission, env }) {
+  const { DEFAULT_ROLE = 'viewer' } = env;
+  const userRoles = getEntries(parseRoleMap(env, 'ROLE_USERS'), backend.name);
+  const groupRoles = getEntries(parseRoleMap(env, 'ROLE_GROUPS'), backend.name);
+  /** @type {Set<string>} */
+  const roles = new Set();
+
+  if (!ROLES.includes(DEFAULT_ROLE)) {
+    throw new Error(`DEFAULT_ROLE is an unknown role: ${DEFAULT_ROLE}`);
+  }
+
+  // Ignore the permission on a repository the user may have chosen themselves
+  if (permission && isAllowedRepo(env, repo)) {
+    roles.add(getRoleFromPermission(permission));
+  }
+
+  userRoles.forEach(([login, role]) => {
+    if (login.toLowerCase() === user.login?.toLowerCase()) {
+      roles.add(role);
+    }
+  });
+
+  if (groupRoles.length) {
+    const groups = await getMemberships(
+      backend,
+      token,
+      user,
+      groupRoles.map(([group]) => group),
+    );
+
+    groupRoles.forEach(([group, role]) => {
+      if (groups.includes(group)) {
+        roles.add(role);
+      }
+    });
+  }
+
+  if (!roles.size) {
+    roles.add(DEFAULT_ROLE);
+  }
+
+  return /** @type {Role[]} */ ([...roles]);
+}
+
+/**
+ * Check if any of the given roles allows the operation.
+ * @param {string[] | undefined} roles - Roles from the session.
+ * @param {string} operation - Presign operation, e.g. `PUT`.
+ * @returns {boolean} Result.
+ */
+export const isOperationAllowed = (roles, operation) =>
+  (roles ?? []).some((role) => ROLE_OPERATIONS[/** @type {Role} */ (role)]?.includes(operation));
@@ -0,0 +1,521 @@
+/**
+ * Normalized repository permission level, from the lowest to the highest.
+ * @typedef {'none' | 'read' | 'triage' | 'write' | 'maintain' | 'admin'} RepoPermission
+ */
+
+/**
+ * @typedef {object} BackendUser
+ * @property {string} id - User ID.
+ * @property {string} [name] - User display name.
+ * @property {string} [email] - User email.
+ * @property {string} [login] - User login/username.
+ * @property {string} provider - OAuth provider name.
+ */
+
+/**
+ * @typedef {object} ProfileMapping
+ * @property {string} id - Field holding the user ID.
+ * @property {string[]} name - Fields holding the display name, in order of preference.
+ * @property {string} [email] - Field holding the email address.
+ * @property {string[]} login - Fields holding the login/username, in order of preference.
+ */
+
+/**
+ * @typedef {object} Backend
+ * @property {string} name - Backend name, e.g. `github`.
+ * @property {string} label - Human-readable backend name used in error messages.
+ * @property {string | undefined} clientId - OAuth app client ID.
+ * @property {string | undefined} clientSecret - OAuth app client secret.
+ * @property {string} authorizeURL - Authorization endpoint URL.
+ * @property {Record<string, string>} authorizeParams - Extra authorization parameters, e.g.
+ * `scope`.
+ * @property {boolean} sendRedirectURI - Whether `redirect_uri` has to be sent with the
+ * authorization and token requests.
+ * @property {string} tokenURL - Token endpoint URL.
+ * @property {'json' | 'form'} tokenEncoding - Body encoding of the token request.
+ * @property {'body' | 'basic'} clientAuth - How the client credentials are sent with the token
+ * request: in the body or with HTTP Basic authentication.
+ * @property {string} apiURL - REST API base URL without a trailing slash.
+ * @property {'token' | 'Bearer'} authScheme - Authorization header scheme for API requests.
+ * @property {ProfileMapping} profile - Where to find the user fields in the user endpoint
+ * response.
+ * @property {string[]} allowedGroups - Organizations, teams or groups the user has to belong to.
+ * Empty if any user can sign in.
+ * @property {(group: string, user: BackendUser) => string} [membershipPath] - Get the API path
+ * that responds with the user’s membership of the given organization, team or group.
+ * @property {(repo: string) => string} repositoryPath - Get the API path that responds with the
+ * user’s permission on the given repository.
+ * @property {(data: object) => RepoPermission} parsePermission - Get the normalized permission
+ * level from the repository API response.
+ */
+
+/**
+ * Repository permission levels in ascending order.
+ * @type {RepoPermission[]}
+ */
+export const PERMISSION_LEVELS = ['none', 'read', 'triage', 'write', 'maintain', 'admin'];
+
+/**
+ * Get the normalized permission level from a `permissions` object of GitHub or Gitea, which has
+ * boolean `admin`, `maintain`, `push`, `triage` and `pull` properties.
+ * @param {Record<string, boolean> | undefined} permissions - Permissions.
+ * @returns {RepoPermission} Permission level.
+ */
+const parsePermissionFlags = (permissions = {}) => {
+  if (permissions.admin) {
+    return 'admin';
+  }
+
+  if (permissions.maintain) {
+    return 'maintain';
+  }
+
+  if (permissions.push) {
+    return 'write';
+  }
+
+  if (permissions.triage) {
+    return 'triage';
+  }
+
+  return permissions.pull ? 'read' : 'none';
+};
+
+/**
+ * Split a comma-separated list from an environment variable.
+ * @param {string | undefined} value - Variable value.
+ * @returns {string[]} List items.
+ */
+const splitList = (value) =>
+  (value ?? '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * OAuth backend definitions. Each definition resolves hostnames and credentials from the
+ * environment variables, so self-hosted instances (GitHub Enterprise Server, GitLab, Gitea) are
+ * handled the same way by every endpoint.
+ * @type {Record<string, (env: { [key: string]: string }) => Backend>}
+ */
+const definitions = {
+  /**
+   * GitHub and GitHub Enterprise Server.
+   * @param {{ [key: string]: string }} env - Environment variables.
+   * @returns {Backend} Backend definition.
+   */
+  github: ({
+    GITHUB_CLIENT_ID,
+    GITHUB_CLIENT_SECRET,
+    GITHUB_HOSTNAME = 'github.com',
+    GITHUB_ALLOWED_ORGS,
+    GITHUB_ALLOWED_TEAMS,
+    ROLE_GROUPS,
+  }) => {
+    // Organizations are given as `org`, teams as `org/team-slug`
+    const allowedGroups = [...splitList(GITHUB_ALLOWED_ORGS), ...splitList(GITHUB_ALLOWED_TEAMS)];
+
+    return {
+      name: 'github',
+      label: 'GitHub',
+      clientId: GITHUB_CLIENT_ID,
+      clientSecret: GITHUB_CLIENT_SECRET,
+      authorizeURL: `https://${GITHUB_HOSTNAME}/login/oauth/authorize`,
+      // Membership can only be read with the `read:org` scope
+      authorizeParams: {
+        scope: allowedGroups.length || ROLE_GROUPS ? 'repo,user,read:org' : 'repo,user',
+      },
+      sendRedirectURI: false,
+      tokenURL: `https://${GITHUB_HOSTNAME}/login/oauth/access_token`,
+      tokenEncoding: 'json',
+      clientAuth: 'body',
+      // GitHub Enterprise Server serves the REST API under `/api/v3`
+      apiURL:
+        GITHUB_HOSTNAME === 'github.com'
+          ? 'https://api.github.com'
+          : `https://${GITHUB_HOSTNAME}/api/v3`,
+      authScheme: 'token',
+      profile: { id: 'id', name: ['name', 'login'], email: 'email', login: ['login'] },
+      allowedGroups,
+      /**
+       * Get the membership API path for an organization or a team.
+       * @param {string} group - `org` or `org/team-slug`.
+       * @param {BackendUser} user - User.
+       * @returns {string} API path.
+       */
+      membershipPath: (group, user) => {
+        const [org, team] = group.split('/');
+
+        return team
+          ? `/orgs/${org}/teams/${team}/memberships/${user.login}`
+          : `/user/memberships/orgs/${org}`;
+      },
+      /**
+       * Get the repository API path.
+       * @param {string} repo - `owner/repo`.
+       * @returns {string} API path.
+       */
+      repositoryPath: (repo) => `/repos/${repo}`,
+      /**
+       * Get the permission level from the repository.
+       * @param {{ permissions?: Record<string, boolean> }} data - Repository.
+       * @returns {RepoPermission} Permission level.
+       */
+      parsePermission: (data) => parsePermissionFlags(data.permissions),
+    };
+  },
+  /**
+   * GitLab, including self-hosted instances.
+   * @param {{ [key: string]: string }} env - Environment variables.
+   * @returns {Backend} Backend definition.
+   */
+  gitlab: ({
+    GITLAB_CLIENT_ID,
+    GITLAB_CLIENT_SECRET,
+    GITLAB_HOSTNAME = 'gitlab.com',
+    GITLAB_ALLOWED_GROUPS,
+  }) => ({
+    name: 'gitlab',
+    label: 'GitLab',
+    clientId: GITLAB_CLIENT_ID,
+    clientSecret: GITLAB_CLIENT_SECRET,
+    authorizeURL: `https://${GITLAB_HOSTNAME}/oauth/authorize`,
+    authorizeParams: { scope: 'api' },
+    sendRedirectURI: true,
+    tokenURL: `https://${GITLAB_HOSTNAME}/oauth/token`,
+    tokenEncoding: 'json',
+    clientAuth: 'body',
+    apiURL: `https://${GITLAB_HOSTNAME}/api/v4`,
+    authScheme: 'Bearer',
+    profile: { id: 'id', name: ['name', 'username'], email: 'email', login: ['username'] },
+    // Groups are given as full paths, e.g. `my-group/sub-group`
+    allowedGroups: splitList(GITLAB_ALLOWED_GROUPS),
+    /**
+     * Get the membership API path for a group, including inherited membership.
+     * @param {string} group - Full path of the group.
+     * @param {BackendUser} user - User.
+     * @returns {string} API path.
+     */
+    membershipPath: (group, user) => `/groups/${encodeURIComponent(group)}/members/all/${user.id}`,
+    /**
+     * Get the project API path.
+     * @param {string} repo - Full path of the project, e.g. `my-group/my-project`.
+     * @returns {string} API path.
+     */
+    repositoryPath: (repo) => `/projects/${encodeURIComponent(repo)}`,
+    /**
+     * Get the permission level from the project, taking the higher one of the project and group
+     * access levels: Developer (30) can push, Maintainer (40) and Owner (50) can do more.
+     * @param {{ permissions?: Record<string, { access_level: number } | null> }} data - Project.
+     * @returns {RepoPermission} Permission level.
+     * @see https://docs.gitlab.com/ee/api/members.html#roles
+     */
+    parsePermission: ({ permissions = {} }) => {
+      const level = Math.max(
+        permissions.project_access?.access_level ?? 0,
+        permissions.group_access?.access_level ?? 0,
+      );
+
+      if (level >= 50) {
+        return 'admin';
+      }
+
+      if (level >= 40) {
+        return 'maintain';
+      }
+
+      if (level >= 30) {
+        return 'write';
+      }
+
+      return level > 0 ? 'read' : 'none';
+    },
+  }),
+  /**
+   * Gitea and Forgejo.
+   * @param {{ [key: string]: string }} env - Environment variables.
+   * @returns {Backend} Backend definition.
+   */
+  gitea: ({ GITEA_CLIENT_ID, GITEA_CLIENT_SECRET, GITEA_HOSTNAME = 'gitea.com' }) => ({
+    name: 'gitea',
+    label: 'Gitea',
+    clientId: GITEA_CLIENT_ID,
+    clientSecret: GITEA_CLIENT_SECRET,
+    authorizeURL: `https://${GITEA_HOSTNAME}/login/oauth/authorize`,
+    authorizeParams: {},
+    sendRedirectURI: true,
+    tokenURL: `https://${GITEA_HOSTNAME}/login/oauth/access_token`,
+    tokenEncoding: 'json',
+    clientAuth: 'body',
+    apiURL: `https://${GITEA_HOSTNAME}/api/v1`,
+    authScheme: 'token',
+    profile: { id: 'id', name: ['full_name', 'login'], email: 'email', login: ['login'] },
+    allowedGroups: [],
+    /**
+     * Get the repository API path.
+     * @param {string} repo - `owner/repo`.
+     * @returns {string} API path.
+     */
+    repositoryPath: (repo) => `/repos/${repo}`,
+    /**
+     * Get the permission level from the repository.
+     * @param {{ permissions?: Record<string, boolean> }} data - Repository.
+     * @returns {RepoPermission} Permission level.
+     */
+    parsePermission: (data) => parsePermissionFlags(data.permissions),
+  }),
+  /**
+   * Bitbucket Cloud.
+   * @param {{ [key: string]: string }} env - Environment variables.
+   * @returns {Backend} Backend definition.
+   */
+  bitbucket: ({ BITBUCKET_CLIENT_ID, BITBUCKET_CLIENT_SECRET }) => ({
+    name: 'bitbucket',
+    label: 'Bitbucket',
+    clientId: BITBUCKET_CLIENT_ID,
+    clientSecret: BITBUCKET_CLIENT_SECRET,
+    authorizeURL: 'https://bitbucket.org/site/oauth2/authorize',
+    // Scopes are defined on the OAuth consumer, not in the request
+    authorizeParams: {},
+    sendRedirectURI: false,
+    tokenURL: 'https://bitbucket.org/site/oauth2/access_token',
+    tokenEncoding: 'form',
+    clientAuth: 'basic',
+    apiURL: 'https://api.bitbucket.org/2.0',
+    authScheme: 'Bearer',
+    // Bitbucket doesn’t expose the email address on the user endpoint
+    profile: { id: 'uuid', name: ['display_name', 'nickname'], login: ['username', 'nickname'] },
+    allowedGroups: [],
+    /**
+     * Get the API path listing the user’s permission on the repository.
+     * @param {string} repo - `workspace/repo_slug`.
+     * @returns {string} API path.
+     */
+    repositoryPath: (repo) =>
+      `/user/permissions/repositories?q=${encodeURIComponent(`repository.full_name="${repo}"`)}`,
+    /**
+     * Get the permission level from the permission list.
+     * @param {{ values?: { permission: 'admin' | 'write' | 'read' }[] }} data - Permissions.
+     * @returns {RepoPermission} Permission level.
+     */
+    parsePermission: ({ values = [] }) => values[0]?.permission ?? 'none',
+  }),
+};
+
+/**
+ * Supported OAuth backends.
+ * @type {string[]}
+ */
+export const SUPPORTED_BACKENDS = Object.keys(definitions);
+
+/**
+ * Get the definition of the specified OAuth backend.
+ * @param {string | undefined} name - Backend name, e.g. `github`.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Backend | undefined} Backend definition, or `undefined` if the backend is not
+ * supported.
+ */
+export function getBackend(name, env) {
+  if (!name || !Object.hasOwn(definitions, name)) {
+    return undefined;
+  }
+
+  return definitions[name](env);
+}
+
+/**
+ * Build the URL of the authorization server to redirect the user to.
+ * @param {Backend} backend - Backend definition.
+ * @param {object} args - Arguments.
+ * @param {string} args.redirectURI - Callback URL of this authenticator.
+ * @param {string} args.state - CSRF token.
+ * @param {string} args.codeChallenge - PKCE code challenge derived with the S256 method.
+ * @returns {string} Authorization URL.
+ */
+export function getAuthorizationURL(backend, { redirectURI, state, codeChallenge }) {
+  const params = new URLSearchParams({
+    client_id: /** @type {string} */ (backend.clientId),
+    ...(backend.sendRedirectURI ? { redirect_uri: redirectURI } : {}),
+    response_type: 'code',
+    ...backend.authorizeParams,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return `${backend.authorizeURL}?${params.toString()}`;
+}
+
+/**
+ * Send a request to the token endpoint of the backend, using the body encoding and client
+ * authentication method the backend expects.
+ * @param {Backend} backend - Backend definition.
+ * @param {Record<string, string>} params - Grant parameters, e.g. `code` and `grant_type`.
+ * @returns {Promise<Response>} Token endpoint response.
+ */
+export function requestToken(backend, params) {
+  const { tokenURL, tokenEncoding, clientAuth, clientId = '', clientSecret = '' } = backend;
+  /** @type {Record<string, string>} */
+  const headers = { Accept: 'application/json' };
+  /** @type {Record<string, string>} */
+  const requestBody = { ...params };
+
+  if (clientAuth === 'basic') {
+    headers.Authorization = `Basic ${btoa(`${clientId}:${clientSecret}`)}`;
+  } else {
+    requestBody.client_id = clientId;
+    requestBody.client_secret = clientSecret;
+  }
+
+  if (tokenEncoding === 'form') {
+    headers['Content-Type'] = 'application/x-www-form-urlencoded';
+  } else {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  return fetch(tokenURL, {
+    method: 'POST',
+    headers,
+    body:
+      tokenEncoding === 'form'
+        ? new URLSearchParams(requestBody).toString()
+        : JSON.stringify(requestBody),
+  });
+}
+
+/**
+ * Send an authenticated request to the REST API of the backend.
+ * @param {Backend} backend - Backend definition.
+ * @param {string} token - OAuth access token.
+ * @param {string} path - API path starting with a slash, e.g. `/user`.
+ * @returns {Promise<Response>} API response.
+ */
+export function fetchAPI(backend, token, path) {
+  return fetch(`${backend.apiURL}${path}`, {
+    headers: {
+      Authorization: `${backend.authScheme} ${token}`,
+      Accept: 'application/json',
+      'User-Agent': 'sveltia-cms-auth',
+    },
+  });
+}
+
+/**
+ * Retrieve the user who owns the given OAuth token.
+ * @param {Backend} backend - Backend definition.
+ * @param {string} token - OAuth access token.
+ * @returns {Promise<BackendUser | null>} User information, or `null` if the token is invalid.
+ */
+export async function fetchUser(backend, token) {
+  const response = await fetchAPI(backend, token, '/user');
+
+  if (!response.ok) {
+    return null;
+  }
+
+  /** @type {Record<string, unknown>} */
+  const data = await response.json();
+  const { id, name, email, login } = backend.profile;
+
+  /**
+   * Get the first non-empty value of the given fields.
+   * @param {string[]} fields - Field names in order of preference.
+   * @returns {string | undefined} Value.
+   */
+  const pick = (fields) => {
+    const value = fields.map((field) => data[field]).find(Boolean);
+
+    return value ? String(value) : undefined;
+  };
+
+  return {
+    id: String(data[id]),
+    name: pick(name),
+    email: email ? pick([email]) : undefined,
+    login: pick(login),
+    provider: backend.name,
+  };
+}
+
+/**
+ * Get the organizations, teams or groups the user belongs to, out of the given list.
+ * @param {Backend} backend - Backend definition.
+ * @param {string} token - OAuth access token.
+ * @param {BackendUser} user - User who owns the token.
+ * @param {string[]} groups - Organizations, teams or groups to check.
+ * @returns {Promise<string[]>} Groups the user is an active member of. Always empty if the backend
+ * doesn’t support membership checks.
+ */
+export async function getMemberships(backend, token, user, groups) {
+  const { membershipPath } = backend;
+
+  if (!membershipPath) {
+    return [];
+  }
+
+  const results = await Promise.all(
+    groups.map(async (group) => {
+      try {
+        const response = await fetchAPI(backend, token, membershipPath(group, user));
+
+        if (!response.ok) {
+          return false;
+        }
+
+        // Both GitHub and GitLab mark pending invitations with a different `state`
+        const { state = 'active' } = await response.json();
+
+        return state === 'active';
+      } catch {
+        return false;
+      }
+    }),
+  );
+
+  return groups.filter((_group, index) => results[index]);
+}
+
+/**
+ * Check if the user belongs to one of the organizations, teams or groups allowed to sign in.
+ * @param {Backend} backend - Backend definition.
+ * @param {string} token - OAuth access token.
+ * @param {BackendUser} user - User who owns the token.
+ * @returns {Promise<boolean>} Whether the user is allowed to sign in. Always `true` if no
+ * restriction is configured for the backend.
+ */
+export async function checkMembership(backend, token, user) {
+  const { allowedGroups } = backend;
+
+  if (!allowedGroups.length) {
+    return true;
+  }
+
+  return (await getMemberships(backend, token, user, allowedGroups)).length > 0;
+}
+
+/**
+ * Get the user’s permission level on the given repository.
+ * @param {Backend} backend - Backend definition.
+ * @param {string} token - OAuth access token.
+ * @param {string} repo - Repository path, e.g. `owner/repo`.
+ * @returns {Promise<RepoPermission>} Permission level. `none` if the repository cannot be
+ * accessed.
+ */
+export async function fetchRepositoryPermission(backend, token, repo) {
+  const response = await fetchAPI(backend, token, backend.repositoryPath(repo));
+
+  if (!response.ok) {
+    return 'none';
+  }
+
+  return backend.parsePermission(await response.json());
+}
+
+/**
+ * Check if a permission level is the same as or higher than the required level.
+ * @param {RepoPermission} permission - Actual permission level.
+ * @param {RepoPermission} required - Required permission level.
+ * @returns {boolean} Result.
+ */
+export const hasPermission = (permission, required) =>
+  PERMISSION_LEVELS.indexOf(permission) >= PERMISSION_LEVELS.indexOf(required);
@@ -0,0 +1,338 @@
+import { validateSession } from './session.js';
+import { DEFAULT_EXPIRY, authorizeRequest, checkUploadLimits } from './presign.js';
+import { getTargetPath, getTargetPresigner } from '../providers/targets.js';
+import { MAX_PART_NUMBER } from '../providers/multipart.js';
+import { getExpiry, isExpiry } from '../access/expiry.js';
+import { jsonResponse } from '../utils/response.js';
+
+/**
+ * @typedef {import('../providers/index.js').Presigner} Presigner
+ * @typedef {import('../providers/index.js').MultipartPart} MultipartPart
+ * @typedef {import('./session.js').SessionPayload} SessionPayload
+ * @typedef {import('../providers/targets.js').ResolvedTarget} ResolvedTarget
+ * @typedef {import('../access/policy.js').PolicyDecision} PolicyDecision
+ */
+
+/**
+ * @typedef {object} MultipartRequest
+ * @property {string} path - Object path.
+ * @property {string} [uploadId] - Upload ID returned by `/multipart/create`. Required except when
+ * creating the upload.
+ * @property {string} [contentType] - Content type of the object. Used when creating the upload,
+ * and when completing it on Azure.
+ * @property {number} [partNumber] - Part number to sign, starting from 1 (`/multipart/sign-part`).
+ * @property {number[]} [partNumbers] - Part numbers to sign at once (`/multipart/sign-part`).
+ * @property {number} [expiresIn] - Requested expiry in seconds of the part URLs
+ * (`/multipart/sign-part`), capped like for `/presign`.
+ * @property {MultipartPart[]} [parts] - Uploaded parts (`/multipart/complete`).
+ * @property {string} [target] - Named storage target defined in `STORAGE_TARGETS` (optional).
+ * @property {string} [provider] - Storage provider (optional).
+ * @property {string} [bucket] - Override bucket name listed in `ALLOWED_BUCKETS` (optional).
+ */
+
+/**
+ * @typedef {object} MultipartContext
+ * @property {SessionPayload} session - Session.
+ * @property {MultipartRequest} body - Request body.
+ * @property {ResolvedTarget} target - Storage target.
+ * @property {PolicyDecision} decision - Policy decision for the path.
+ * @property {Presigner} presigner - Presigner of the storage target.
+ * @property {{ path: string, bucket?: string }} location - Object path within the bucket and
+ * bucket override.
+ */
+
+/**
+ * Maximum number of part URLs that can be signed at once.
+ */
+const MAX_PART_BATCH_SIZE = 100;
+
+/**
+ * Check if the value is a valid part number.
+ * @param {unknown} value - Value.
+ * @returns {boolean} Result.
+ */
+const isPartNumber = (value) =>
+  typeof value === 'number' && Number.isInteger(value) && value >= 1 && value <= MAX_PART_NUMBER;
+
+/**
+ * Validate the session and the common fields of a multipart request, authorize the upload and get
+ * the presigner of the storage target. All multipart actions are authorized as `PUT` operations.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {object} [options] - Options.
+ * @param {boolean} [options.requireUploadId] - Whether the request must contain an upload ID.
+ * @returns {Promise<{ context?: MultipartContext, response?: Response }>} Request context, or
+ * error response.
+ */
+async function prepareRequest(request, env, { requireUploadId = true } = {}) {
+  // Validate session
+  const session = await validateSession(request, env);
+
+  if (!session) {
+    return { response: jsonResponse({ error: 'Unauthorized' }, request, env, 401) };
+  }
+
+  // Parse request body
+  /** @type {MultipartRequest} */
+  let body;
+
+  try {
+    body = await request.json();
+  } catch {
+    return { response: jsonResponse({ error: 'Invalid JSON body' }, request, env, 400) };
+  }
+
+  const { path, uploadId, contentType, target: targetName, provider, bucket } = body;
+
+  // Validate path (prevent directory traversal)
+  if (typeof path !== 'string' || !path || path.includes('..') || path.startsWith('/')) {
+    return { response: jsonResponse({ error: 'Invalid path' }, request, env, 400) };
+  }
+
+  if (requireUploadId && (typeof uploadId !== 'string' || !uploadId)) {
+    return { response: jsonResponse({ error: 'Missing uploadId' }, request, env, 400) };
+  }
+
+  if (contentType !== undefined && (typeof contentType !== 'string' || !contentType)) {
+    return { response: jsonResponse({ error: 'Invalid contentType' }, request, env, 400) };
+  }
+
+  // Check the roles and the path policy, and resolve the named target or bucket override
+  const { target, decisions, response } = authorizeRequest(request, env, session, {
+    operation: 'PUT',
+    paths: [path],
+    fields: { target: targetName, provider, bucket },
+  });
+
+  if (!target || !decisions) {
+    return { response };
+  }
+
+  /** @type {Presigner} */
+  let presigner;
+
+  try {
+    presigner = getTargetPresigner(target, env);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Storage is not configured';
+
+    return { response: jsonResponse({ error: message }, request, env, 500) };
+  }
+
+  // Upload IDs are only checked here for providers that generate them themselves
+  if (requireUploadId && presigner.uploadIdPattern && !presigner.uploadIdPattern.test(uploadId)) {
+    return { response: jsonResponse({ error: 'Invalid uploadId' }, request, env, 400) };
+  }
+
+  return {
+    context: {
+      session,
+      body,
+      target,
+      decision: decisions[0],
+      presigner,
+      location: { path: getTargetPath(target, path), bucket: target.bucket },
+    },
+  };
+}
+
+/**
+ * Create an error response for a failed storage request.
+ * @param {unknown} error - Error.
+ * @param {string} fallback - Message used if the error has no message.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Response} HTTP response.
+ */
+function errorResponse(error, fallback, request, env) {
+  // eslint-disable-next-line no-console
+  console.error('Multipart error:', error);
+
+  const message = error instanceof Error ? error.message : fallback;
+
+  return jsonResponse({ error: message }, request, env, 500);
+}
+
+/**
+ * Handle a request to start a multipart upload.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleMultipartCreate(request, env) {
+  const { context, response } = await prepareRequest(request, env, { requireUploadId: false });
+
+  if (!context) {
+    return /** @type {Response} */ (response);
+  }
+
+  const { body, target, decision, presigner, location } = context;
+  const { contentType } = body;
+
+  const limitError = checkUploadLimits({
+    contentType,
+    target,
+    decision,
+    presigner,
+    multipart: true,
+  });
+
+  if (limitError) {
+    return jsonResponse({ error: limitError.error }, request, env, limitError.status);
+  }
+
+  try {
+    const uploadId = await presigner.createMultipartUpload({ ...location, contentType });
+
+    return jsonResponse({ uploadId, path: body.path }, request, env);
+  } catch (error) {
+    return errorResponse(error, 'Failed to create multipart upload', request, env);
+  }
+}
+
+/**
+ * Handle a request to presign one or more part uploads. The client uploads each part with `PUT`
+ * and keeps the `ETag` response header to complete the upload.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleMultipartSignPart(request, env) {
+  const { context, response } = await prepareRequest(request, env);
+
+  if (!context) {
+    return /** @type {Response} */ (response);
+  }
+
+  const { session, body, presigner, location } = context;
+  const { uploadId = '', partNumber, partNumbers, expiresIn: requestedExpiry } = body;
+  const numbers = partNumbers ?? [partNumber];
+
+  if (!Array.isArray(numbers) || !numbers.length || !numbers.every(isPartNumber)) {
+    return jsonResponse(
+      { error: `Part numbers must be integers between 1 and ${MAX_PART_NUMBER}` },
+      request,
+      env,
+      400,
+    );
+  }
+
+  if (numbers.length > MAX_PART_BATCH_SIZE) {
+    const errorMsg = `Batch size exceeds maximum of ${MAX_PART_BATCH_SIZE}`;
+
+    return jsonResponse({ error: errorMsg }, request, env, 400);
+  }
+
+  if (requestedExpiry !== undefined && !isExpiry(requestedExpiry)) {
+    return jsonResponse({ error: 'expiresIn must be a positive integer' }, request, env, 400);
+  }
+
+  try {
+    const expiresIn = getExpiry(env, session, {
+      operation: 'PUT',
+      requested: requestedExpiry ?? DEFAULT_EXPIRY,
+      providerMax: presigner.maxExpiresIn,
+    });
+
+    const urls = await Promise.all(
+      numbers.map((number) =>
+        presigner.generatePartUrl({
+          ...location,
+          uploadId,
+          partNumber: number,
+          expiresIn,
+        }),
+      ),
+    );
+
+    if (partNumbers) {
+      return jsonResponse(
+        {
+          urls: Object.fromEntries(numbers.map((number, index) => [number, urls[index]])),
+          expiresIn,
+        },
+        request,
+        env,
+      );
+    }
+
+    return jsonResponse({ url: urls[0], partNumber, expiresIn }, request, env);
+  } catch (error) {
+    return errorResponse(error, 'Failed to generate part URL', request, env);
+  }
+}
+
+/**
+ * Handle a request to complete a multipart upload.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleMultipartComplete(request, env) {
+  const { context, response } = await prepareRequest(request, env);
+
+  if (!context) {
+    return /** @type {Response} */ (response);
+  }
+
+  const { body, target, decision, presigner, location } = context;
+  const { uploadId = '', parts, contentType } = body;
+
+  // The content type is optional here, as only Azure sets it when completing the upload
+  const limitError = contentType
+    ? checkUploadLimits({ contentType, target, decision, presigner, multipart: true })
+    : undefined;
+
+  if (limitError) {
+    return jsonResponse({ error: limitError.error }, request, env, limitError.status);
+  }
+
+  if (
+    !Array.isArray(parts) ||
+    !parts.length ||
+    parts.some(
+      (part) =>
+        !isPartNumber(part?.partNumber) ||
+        (part.etag !== undefined && typeof part.etag !== 'string'),
+    )
+  ) {
+    return jsonResponse(
+      { error: 'parts must be a non-empty array of { partNumber, etag } objects' },
+      request,
+      env,
+      400,
+    );
+  }
+
+  try {
+    await presigner.completeMultipartUpload({ ...location, contentType, uploadId, parts });
+
+    return jsonResponse({ path: body.path, parts: parts.length }, request, env);
+  } catch (error) {
+    return errorResponse(error, 'Failed to complete multipart upload', request, env);
+  }
+}
+
+/**
+ * Handle a request to abort a multipart upload.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleMultipartAbort(request, env) {
+  const { context, response } = await prepareRequest(request, env);
+
+  if (!context) {
+    return /** @type {Response} */ (response);
+  }
+
+  const { body, presigner, location } = context;
+
+  try {
+    await presigner.abortMultipartUpload({ ...location, uploadId: body.uploadId });
+
+    return jsonResponse({ path: body.path, aborted: true }, request, env);
+  } catch (error) {
+    return errorResponse(error, 'Failed to abort multipart upload', request, env);
+  }
+}
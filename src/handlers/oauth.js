@@ -1,7 +1,11 @@
-/**
- * List of supported OAuth providers.
- */
-export const supportedProviders = ['github', 'gitlab'];
+import {
+  checkMembership,
+  fetchUser,
+  getAuthorizationURL,
+  getBackend,
+  requestToken,
+} from '../backends/index.js';
+import { jsonResponse } from '../utils/response.js';
 
 /**
  * Escape the given string for safe use in a regular expression.
@@ -11,19 +15,56 @@ export const supportedProviders = ['github', 'gitlab'];
  */
 const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
+/**
+ * Generate a PKCE code verifier and its S256 code challenge. The verifier consists of 64 hex
+ * characters, which is within the 43–128 character range required by the spec.
+ * @returns {Promise<{ codeVerifier: string, codeChallenge: string }>} Verifier and challenge.
+ * @see https://datatracker.ietf.org/doc/html/rfc7636#section-4
+ */
+const generatePKCE = async () => {
+  const codeVerifier = Array.from(globalThis.crypto.getRandomValues(new Uint8Array(32)), (b) =>
+    b.toString(16).padStart(2, '0'),
+  ).join('');
+
+  const digest = await globalThis.crypto.subtle.digest(
+    'SHA-256',
+    new TextEncoder().encode(codeVerifier),
+  );
+
+  // Base64url without padding
+  const codeChallenge = btoa(String.fromCharCode(...new Uint8Array(digest)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+  return { codeVerifier, codeChallenge };
+};
+
 /**
  * Output HTML response that communicates with the window opener.
  * @param {object} args - Options.
  * @param {string} [args.provider] - Backend name, e.g. `github`.
  * @param {string} [args.token] - OAuth token.
+ * @param {string} [args.refreshToken] - OAuth refresh token, if the token expires.
+ * @param {number} [args.expiresIn] - Lifetime of the OAuth token in seconds, if it expires.
  * @param {string} [args.error] - Error message when an OAuth token is not available.
  * @param {string} [args.errorCode] - Error code to be used to localize the error message in
  * Sveltia CMS.
  * @returns {Response} Response with HTML.
  */
-export const outputHTML = ({ provider = 'unknown', token, error, errorCode }) => {
+export const outputHTML = ({
+  provider = 'unknown',
+  token,
+  refreshToken,
+  expiresIn,
+  error,
+  errorCode,
+}) => {
   const state = error ? 'error' : 'success';
-  const content = error ? { provider, error, errorCode } : { provider, token };
+
+  const content = error
+    ? { provider, error, errorCode }
+    : { provider, token, refreshToken, expiresIn };
 
   return new Response(
     `
@@ -61,23 +102,16 @@ export const handleAuth = async (request, env) => {
   const { url } = request;
   const { origin, searchParams } = new URL(url);
   const { provider, site_id: domain } = Object.fromEntries(searchParams);
+  const backend = getBackend(provider, env);
 
-  if (!provider || !supportedProviders.includes(provider)) {
+  if (!backend) {
     return outputHTML({
       error: 'Your Git backend is not supported by the authenticator.',
       errorCode: 'UNSUPPORTED_BACKEND',
     });
   }
 
-  const {
-    ALLOWED_DOMAINS,
-    GITHUB_CLIENT_ID,
-    GITHUB_CLIENT_SECRET,
-    GITHUB_HOSTNAME = 'github.com',
-    GITLAB_CLIENT_ID,
-    GITLAB_CLIENT_SECRET,
-    GITLAB_HOSTNAME = 'gitlab.com',
-  } = env;
+  const { ALLOWED_DOMAINS } = env;
 
   // Check if the domain is whitelisted
   if (
@@ -94,49 +128,24 @@ export const handleAuth = async (request, env) => {
     });
   }
 
-  // Generate a random string for CSRF protection
-  const csrfToken = globalThis.crypto.randomUUID().replaceAll('-', '');
-  let authURL = '';
-
-  // GitHub
-  if (provider === 'github') {
-    if (!GITHUB_CLIENT_ID || !GITHUB_CLIENT_SECRET) {
-      return outputHTML({
-        provider,
-        error: 'OAuth app client ID or secret is not configured.',
-        errorCode: 'MISCONFIGURED_CLIENT',
-      });
-    }
-
-    const params = new URLSearchParams({
-      client_id: GITHUB_CLIENT_ID,
-      scope: 'repo,user',
-      state: csrfToken,
+  if (!backend.clientId || !backend.clientSecret) {
+    return outputHTML({
+      provider,
+      error: 'OAuth app client ID or secret is not configured.',
+      errorCode: 'MISCONFIGURED_CLIENT',
     });
-
-    authURL = `https://${GITHUB_HOSTNAME}/login/oauth/authorize?${params.toString()}`;
   }
 
-  // GitLab
-  if (provider === 'gitlab') {
-    if (!GITLAB_CLIENT_ID || !GITLAB_CLIENT_SECRET) {
-      return outputHTML({
-        provider,
-        error: 'OAuth app client ID or secret is not configured.',
-        errorCode: 'MISCONFIGURED_CLIENT',
-      });
-    }
-
-    const params = new URLSearchParams({
-      client_id: GITLAB_CLIENT_ID,
-      redirect_uri: `${origin}/callback`,
-      response_type: 'code',
-      scope: 'api',
-      state: csrfToken,
-    });
+  // Generate a random string for CSRF protection
+  const csrfToken = globalThis.crypto.randomUUID().replaceAll('-', '');
+  // Generate a PKCE verifier; it’s stored next to the CSRF token and sent with the code exchange
+  const { codeVerifier, codeChallenge } = await generatePKCE();
 
-    authURL = `https://${GITLAB_HOSTNAME}/oauth/authorize?${params.toString()}`;
-  }
+  const authURL = getAuthorizationURL(backend, {
+    redirectURI: `${origin}/callback`,
+    state: csrfToken,
+    codeChallenge,
+  });
 
   // Redirect to the authorization server
   return new Response('', {
@@ -146,7 +155,7 @@ export const handleAuth = async (request, env) => {
       // Cookie expires in 10 minutes; Use `SameSite=Lax` to make sure the cookie is sent by the
       // browser after redirect
       'Set-Cookie':
-        `csrf-token=${provider}_${csrfToken}; ` +
+        `csrf-token=${provider}_${csrfToken}_${codeVerifier}; ` +
         `HttpOnly; Path=/; Max-Age=600; SameSite=Lax; Secure`,
     },
   });
@@ -163,10 +172,12 @@ export const handleCallback = async (request, env) => {
   const { origin, searchParams } = new URL(url);
   const { code, state } = Object.fromEntries(searchParams);
 
-  const [, provider, csrfToken] =
-    headers.get('Cookie')?.match(/\bcsrf-token=([a-z-]+?)_([0-9a-f]{32})\b/) ?? [];
+  const [, provider, csrfToken, codeVerifier] =
+    headers.get('Cookie')?.match(/\bcsrf-token=([a-z-]+?)_([0-9a-f]{32})_([0-9a-f]{64})\b/) ?? [];
+
+  const backend = getBackend(provider, env);
 
-  if (!provider || !supportedProviders.includes(provider)) {
+  if (!backend) {
     return outputHTML({
       error: 'Your Git backend is not supported by the authenticator.',
       errorCode: 'UNSUPPORTED_BACKEND',
@@ -189,67 +200,26 @@ export const handleCallback = async (request, env) => {
     });
   }
 
-  const {
-    GITHUB_CLIENT_ID,
-    GITHUB_CLIENT_SECRET,
-    GITHUB_HOSTNAME = 'github.com',
-    GITLAB_CLIENT_ID,
-    GITLAB_CLIENT_SECRET,
-    GITLAB_HOSTNAME = 'gitlab.com',
-  } = env;
-
-  let tokenURL = '';
-  let requestBody = {};
-
-  // GitHub
-  if (provider === 'github') {
-    if (!GITHUB_CLIENT_ID || !GITHUB_CLIENT_SECRET) {
-      return outputHTML({
-        provider,
-        error: 'OAuth app client ID or secret is not configured.',
-        errorCode: 'MISCONFIGURED_CLIENT',
-      });
-    }
-
-    tokenURL = `https://${GITHUB_HOSTNAME}/login/oauth/access_token`;
-    requestBody = {
-      code,
-      client_id: GITHUB_CLIENT_ID,
-      client_secret: GITHUB_CLIENT_SECRET,
-    };
-  }
-
-  if (provider === 'gitlab') {
-    if (!GITLAB_CLIENT_ID || !GITLAB_CLIENT_SECRET) {
-      return outputHTML({
-        provider,
-        error: 'OAuth app client ID or secret is not configured.',
-        errorCode: 'MISCONFIGURED_CLIENT',
-      });
-    }
-
-    tokenURL = `https://${GITLAB_HOSTNAME}/oauth/token`;
-    requestBody = {
-      code,
-      client_id: GITLAB_CLIENT_ID,
-      client_secret: GITLAB_CLIENT_SECRET,
-      grant_type: 'authorization_code',
-      redirect_uri: `${origin}/callback`,
-    };
+  if (!backend.clientId || !backend.clientSecret) {
+    return outputHTML({
+      provider,
+      error: 'OAuth app client ID or secret is not configured.',
+      errorCode: 'MISCONFIGURED_CLIENT',
+    });
   }
 
   let response;
   let token = '';
+  let refreshToken;
+  let expiresIn;
   let error = '';
 
   try {
-    response = await fetch(tokenURL, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
+    response = await requestToken(backend, {
+      code,
+      grant_type: 'authorization_code',
+      code_verifier: codeVerifier,
+      ...(backend.sendRedirectURI ? { redirect_uri: `${origin}/callback` } : {}),
     });
   } catch {
     //
@@ -264,7 +234,12 @@ export const handleCallback = async (request, env) => {
   }
 
   try {
-    ({ access_token: token, error } = await response.json());
+    ({
+      access_token: token,
+      refresh_token: refreshToken,
+      expires_in: expiresIn,
+      error,
+    } = await response.json());
   } catch {
     return outputHTML({
       provider,
@@ -273,5 +248,103 @@ export const handleCallback = async (request, env) => {
     });
   }
 
-  return outputHTML({ provider, token, error });
+  // Check the membership before handing the token over to the CMS
+  if (token && backend.allowedGroups.length) {
+    let allowed = false;
+
+    try {
+      const user = await fetchUser(backend, token);
+
+      allowed = !!user && (await checkMembership(backend, token, user));
+    } catch {
+      //
+    }
+
+    if (!allowed) {
+      return outputHTML({
+        provider,
+        error: 'You are not a member of an organization, team or group allowed to sign in.',
+        errorCode: 'NOT_A_MEMBER',
+      });
+    }
+  }
+
+  return outputHTML({ provider, token, refreshToken, expiresIn, error });
+};
+
+/**
+ * Handle the `refresh` method, which exchanges a refresh token for a new access token. This is
+ * needed for backends issuing expiring tokens, such as GitHub Apps and GitLab.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ * @see https://docs.github.com/en/apps/creating-github-apps/authenticating-with-a-github-app/refreshing-user-access-tokens
+ * @see https://docs.gitlab.com/ee/api/oauth2.html#authorization-code-flow
+ */
+export const handleRefresh = async (request, env) => {
+  const { origin } = new URL(request.url);
+  /** @type {{ provider?: string, refreshToken?: string }} */
+  let body;
+
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, request, env, 400);
+  }
+
+  const { provider, refreshToken } = body;
+
+  if (!provider || !refreshToken) {
+    return jsonResponse({ error: 'Missing provider or refreshToken' }, request, env, 400);
+  }
+
+  const backend = getBackend(provider, env);
+
+  if (!backend) {
+    return jsonResponse({ error: 'Unsupported provider' }, request, env, 400);
+  }
+
+  if (!backend.clientId || !backend.clientSecret) {
+    return jsonResponse(
+      { error: 'OAuth app client ID or secret is not configured' },
+      request,
+      env,
+      500,
+    );
+  }
+
+  let data;
+
+  try {
+    const response = await requestToken(backend, {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken,
+      ...(backend.sendRedirectURI ? { redirect_uri: `${origin}/callback` } : {}),
+    });
+
+    data = await response.json();
+  } catch {
+    return jsonResponse({ error: 'Failed to refresh the access token' }, request, env, 502);
+  }
+
+  // GitHub responds with 200 and an `error` property when the refresh token is invalid
+  if (!data.access_token) {
+    return jsonResponse(
+      { error: data.error_description || data.error || 'Invalid refresh token' },
+      request,
+      env,
+      401,
+    );
+  }
+
+  return jsonResponse(
+    {
+      provider,
+      token: data.access_token,
+      refreshToken: data.refresh_token,
+      expiresIn: data.expires_in,
+    },
+    request,
+    env,
+  );
 };
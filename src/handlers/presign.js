@@ -1,61 +1,341 @@
-/* eslint-disable no-await-in-loop */
-
 import { validateSession } from './session.js';
-import { getPresigner } from '../providers/index.js';
+import { SUPPORTED_OPERATIONS } from '../providers/index.js';
+import { getTargetPath, getTargetPresigner, resolveTarget } from '../providers/targets.js';
+import { isOperationAllowed } from '../access/roles.js';
+import { evaluatePolicy } from '../access/policy.js';
+import { getExpiry, getSigningWindow, isExpiry } from '../access/expiry.js';
+import { jsonResponse } from '../utils/response.js';
+import { mapConcurrent } from '../utils/concurrency.js';
+
+/**
+ * @typedef {import('./session.js').SessionPayload} SessionPayload
+ * @typedef {import('../providers/targets.js').ResolvedTarget} ResolvedTarget
+ * @typedef {import('../providers/index.js').Operation} Operation
+ * @typedef {import('../providers/index.js').PresignOptions} PresignOptions
+ * @typedef {import('../providers/index.js').Presigner} Presigner
+ * @typedef {import('../providers/index.js').ResponseOverrides} ResponseOverrides
+ * @typedef {import('../access/policy.js').PolicyDecision} PolicyDecision
+ */
+
+/**
+ * @typedef {object} UploadLimitError
+ * @property {number} status - HTTP status code.
+ * @property {string} error - Error message.
+ */
 
 /**
  * @typedef {object} PresignRequest
  * @property {string} [provider] - Storage provider ('s3' | 'r2' | 'gcs' | 'azure' | 'minio').
- * @property {'GET' | 'PUT' | 'DELETE'} operation - Operation type.
- * @property {string} path - Object path.
+ * @property {Operation} operation - Operation type.
+ * @property {string} path - Object path, or the prefix to list for `LIST`, which can be empty.
  * @property {string} [contentType] - Content type for PUT operations.
- * @property {string} [bucket] - Override bucket name (optional).
+ * @property {number} [expiresIn] - Requested expiry in seconds. Capped by `PRESIGN_MAX_EXPIRY`,
+ * the provider’s limit and the session lifetime.
+ * @property {string} [delimiter] - Delimiter to group keys by for `LIST`, usually `/`.
+ * @property {string} [continuationToken] - Token from the previous `LIST` page.
+ * @property {number} [maxKeys] - Maximum number of keys per `LIST` page (1–1000).
+ * @property {ResponseOverrides} [responseOverrides] - Response headers to override for `GET` and
+ * `HEAD`, such as `contentDisposition`.
+ * @property {number} [contentLength] - Expected size in bytes of the `PUT` upload. Required if the
+ * target or the policy rule sets a `maxSize`.
+ * @property {string} [contentMd5] - Expected base64-encoded MD5 digest of the `PUT` upload.
+ * @property {string} [checksumSha256] - Expected base64-encoded SHA-256 digest of the `PUT` upload.
+ * @property {string} [target] - Named storage target defined in `STORAGE_TARGETS` (optional).
+ * @property {string} [bucket] - Override bucket name listed in `ALLOWED_BUCKETS` (optional).
+ */
+
+/**
+ * @typedef {object} PresignPostRequest
+ * @property {string} path - Object path.
+ * @property {string} [contentType] - Content type of the file, or a wildcard like `image/*` to
+ * accept any matching type.
+ * @property {number} [maxSize] - Maximum file size in bytes. Can only lower the configured limit.
+ * @property {number} [expiresIn] - Requested expiry in seconds, capped like for `/presign`.
+ * @property {string} [provider] - Storage provider.
+ * @property {string} [target] - Named storage target defined in `STORAGE_TARGETS` (optional).
+ * @property {string} [bucket] - Override bucket name listed in `ALLOWED_BUCKETS` (optional).
+ */
+
+/**
+ * @typedef {object} PresignBatchItem
+ * @property {string} path - Object path.
+ * @property {Operation} [operation] - Operation type. The batch operation if omitted.
+ * @property {string} [contentType] - Content type for `PUT` operations.
+ * @property {number} [contentLength] - Expected size in bytes of a `PUT` upload. Required if the
+ * target or the policy rule sets a `maxSize`.
  */
 
 /**
  * @typedef {object} PresignBatchRequest
  * @property {string} [provider] - Storage provider.
- * @property {string[]} paths - List of paths.
- * @property {'GET' | 'PUT' | 'DELETE'} [operation] - Operation type (default: GET).
- * @property {string} [bucket] - Override bucket name (optional).
+ * @property {PresignBatchItem[]} [items] - Items to sign.
+ * @property {string[]} [paths] - List of paths, signed with the batch operation. Use either
+ * `items` or `paths`.
+ * @property {Operation} [operation] - Operation type of `paths` and of items without an operation
+ * (default: GET).
+ * @property {number} [expiresIn] - Requested expiry in seconds of all URLs, capped like for
+ * `/presign`.
+ * @property {string} [target] - Named storage target defined in `STORAGE_TARGETS` (optional).
+ * @property {string} [bucket] - Override bucket name listed in `ALLOWED_BUCKETS` (optional).
+ */
+
+/**
+ * @typedef {object} PresignBatchResult
+ * @property {string} path - Object path.
+ * @property {string} operation - Operation type.
+ * @property {string} [url] - Presigned URL, unless the item failed.
+ * @property {number} [expiresIn] - Expiry in seconds of the URL.
+ * @property {Record<string, string>} [headers] - Headers the client has to send with the request.
+ * @property {string} [error] - Reason why the item failed.
+ * @property {string} [rule] - Name of the policy rule that denied the item, if any.
+ */
+
+/**
+ * Default presigned URL expiry in seconds (15 minutes), used if the request doesn’t specify one.
+ */
+export const DEFAULT_EXPIRY = 900;
+
+/**
+ * Patterns of base64-encoded MD5 and SHA-256 digests.
+ */
+const DIGEST_PATTERNS = {
+  md5: /^[A-Za-z0-9+/]{22}==$/,
+  sha256: /^[A-Za-z0-9+/]{43}=$/,
+};
+
+/**
+ * Response headers that can be overridden.
+ */
+const RESPONSE_OVERRIDES = ['contentDisposition', 'contentType', 'cacheControl'];
+
+/**
+ * Check if the value is a valid set of response header overrides: known headers with header-safe
+ * values.
+ * @param {unknown} value - Value.
+ * @returns {boolean} Result.
+ */
+const isResponseOverrides = (value) =>
+  !!value &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.entries(value).every(
+    ([name, header]) =>
+      RESPONSE_OVERRIDES.includes(name) &&
+      typeof header === 'string' &&
+      header.length <= 1024 &&
+      // eslint-disable-next-line no-control-regex
+      !/[\x00-\x1f\x7f]/.test(header),
+  );
+
+/**
+ * Maximum number of items in a batch request.
  */
+const MAX_BATCH_SIZE = 100;
 
 /**
- * Default presigned URL expiry in seconds (15 minutes).
+ * Resolve the storage target of a request, and create an error response if it cannot be used.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {{ target?: string, provider?: string, bucket?: string }} fields - Request fields.
+ * @returns {{ target?: ResolvedTarget, response?: Response }} Resolved target, or error response.
  */
-const DEFAULT_EXPIRY = 900;
+function getTarget(request, env, fields) {
+  if (fields.target && (fields.provider || fields.bucket)) {
+    return {
+      response: jsonResponse(
+        { error: 'target cannot be combined with provider or bucket' },
+        request,
+        env,
+        400,
+      ),
+    };
+  }
+
+  try {
+    const { target, error } = resolveTarget(env, fields);
+
+    return target ? { target } : { response: jsonResponse({ error }, request, env, 403) };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Invalid storage targets';
+
+    return { response: jsonResponse({ error: message }, request, env, 500) };
+  }
+}
 
 /**
- * Create JSON response with CORS headers.
- * @param {object} data - Response data.
- * @param {Request} [request] - Original request for CORS origin.
- * @param {{ [key: string]: string }} [env] - Environment variables.
- * @param {number} [status] - HTTP status code.
- * @returns {Response} HTTP response.
+ * Check if the session’s roles and the path policy allow the operation on all the given paths, and
+ * resolve the storage target of the request.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {SessionPayload} session - Session.
+ * @param {object} args - Arguments.
+ * @param {string} args.operation - Operation, e.g. `PUT`.
+ * @param {string[]} args.paths - Object paths relative to the storage target.
+ * @param {{ target?: string, provider?: string, bucket?: string }} args.fields - Request fields
+ * selecting the storage target.
+ * @returns {{ target?: ResolvedTarget, decisions?: PolicyDecision[], response?: Response }}
+ * Resolved target and the policy decision for each path, or error response.
  */
-function jsonResponse(data, request, env, status = 200) {
-  const origin = request?.headers.get('Origin') || '*';
-  const allowedOrigins = env?.ALLOWED_ORIGINS;
-  let allowOrigin = '*';
+export function authorizeRequest(request, env, session, { operation, paths, fields }) {
+  // Check if the user’s roles allow the operation
+  if (!isOperationAllowed(session.roles, operation)) {
+    return {
+      response: jsonResponse(
+        { error: `Your role does not allow ${operation} operations` },
+        request,
+        env,
+        403,
+      ),
+    };
+  }
 
-  if (allowedOrigins && allowedOrigins !== '*') {
-    const allowedList = allowedOrigins.split(',').map((s) => s.trim());
+  // Resolve the named target or bucket override
+  const { target, response } = getTarget(request, env, fields);
 
-    allowOrigin = allowedList.includes(origin) ? origin : allowedList[0];
-  } else if (origin !== '*') {
-    allowOrigin = origin;
+  if (!target) {
+    return { response };
   }
 
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': allowOrigin,
-      'Access-Control-Allow-Credentials': 'true',
-    },
-  });
+  // Check the path-based access policy for all paths
+  let decisions;
+
+  try {
+    decisions = paths.map((path) => evaluatePolicy(env, session, operation, path, target.name));
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Invalid presign policy';
+
+    return { response: jsonResponse({ error: message }, request, env, 500) };
+  }
+
+  const index = decisions.findIndex(({ allowed }) => !allowed);
+
+  if (index !== -1) {
+    const { reason, rule } = decisions[index];
+
+    return {
+      response: jsonResponse({ error: reason, rule, path: paths[index] }, request, env, 403),
+    };
+  }
+
+  return { target, decisions };
 }
 
+/**
+ * Check if a content type matches a pattern. A pattern can be an exact type, a wildcard like
+ * `image/*`, or `*` to match anything.
+ * @param {string} pattern - Content type pattern.
+ * @param {string} contentType - Content type, which can itself be a wildcard.
+ * @returns {boolean} Result.
+ */
+const matchesContentType = (pattern, contentType) => {
+  const expected = pattern.toLowerCase();
+  const actual = contentType.toLowerCase();
+
+  if (expected === '*' || expected === '*/*') {
+    return true;
+  }
+
+  return expected.endsWith('/*') ? actual.startsWith(expected.slice(0, -1)) : actual === expected;
+};
+
+/**
+ * Check a requested content type against the `contentTypes` of the storage target and of the
+ * policy rule allowing the upload. If any of them restricts the types, a content type is required.
+ * @param {string | undefined} contentType - Requested content type.
+ * @param {ResolvedTarget} target - Resolved target.
+ * @param {PolicyDecision} decision - Policy decision for the path.
+ * @returns {UploadLimitError | undefined} Error, or `undefined` if the content type is allowed.
+ */
+function checkContentType(contentType, target, decision) {
+  const allowedTypes = [target.contentTypes, decision.contentTypes].filter(Array.isArray);
+
+  if (!contentType && allowedTypes.length) {
+    return { status: 400, error: 'contentType is required for this path' };
+  }
+
+  if (
+    contentType &&
+    !allowedTypes.every((types) =>
+      types.some((pattern) => matchesContentType(pattern, contentType)),
+    )
+  ) {
+    return { status: 403, error: `Content type is not allowed: ${contentType}` };
+  }
+
+  return undefined;
+}
+
+/**
+ * Check a `PUT` or multipart upload against the `contentTypes` and `maxSize` of the storage
+ * target and of the policy rule allowing it. Unlike a POST policy, a presigned URL only enforces
+ * them if the provider signs the `Content-Type` and `Content-Length` headers, and the size of a
+ * multipart upload can’t be limited at all, so such uploads are denied.
+ * @param {object} args - Arguments.
+ * @param {string} [args.contentType] - Requested content type.
+ * @param {number} [args.contentLength] - Requested size in bytes of a `PUT` upload.
+ * @param {ResolvedTarget} args.target - Resolved target.
+ * @param {PolicyDecision} args.decision - Policy decision for the path.
+ * @param {Presigner} args.presigner - Presigner of the target.
+ * @param {boolean} [args.multipart] - Whether it’s a multipart upload, whose content type is set
+ * by the authenticator when the upload is created or completed.
+ * @returns {UploadLimitError | undefined} Error, or `undefined` if the upload is allowed.
+ */
+export function checkUploadLimits({
+  contentType,
+  contentLength,
+  target,
+  decision,
+  presigner,
+  multipart = false,
+}) {
+  const contentTypeError = checkContentType(contentType, target, decision);
+
+  if (contentTypeError) {
+    return contentTypeError;
+  }
+
+  const sizes = [target.maxSize, decision.maxSize].filter((size) => typeof size === 'number');
+
+  if (
+    !multipart &&
+    !presigner.signsUploadHeaders &&
+    (sizes.length || target.contentTypes || decision.contentTypes)
+  ) {
+    return {
+      status: 403,
+      error: 'The storage provider cannot enforce the upload limits of this path; use POST instead',
+    };
+  }
+
+  if (!sizes.length) {
+    return undefined;
+  }
+
+  const maxSize = Math.min(...sizes);
+
+  if (multipart) {
+    return {
+      status: 403,
+      error: 'Multipart uploads cannot be limited in size for this path; use POST instead',
+    };
+  }
+
+  if (contentLength === undefined) {
+    return { status: 400, error: 'contentLength is required for this path' };
+  }
+
+  if (contentLength > maxSize) {
+    return { status: 403, error: `File size exceeds the limit of ${maxSize} bytes` };
+  }
+
+  return undefined;
+}
+
+/**
+ * Error returned for `LIST` requests on a storage target whose provider doesn’t allow listing.
+ */
+const LIST_DISABLED_ERROR = 'LIST is disabled for this storage target';
+
 /**
  * Handle presigned URL request for a single path.
  * @param {Request} request - HTTP request.
@@ -80,17 +360,32 @@ export async function handlePresign(request, env) {
     return jsonResponse({ error: 'Invalid JSON body' }, request, env, 400);
   }
 
-  const { provider, operation, path, contentType, bucket } = body;
-
-  // Validate required fields
-  if (!operation || !path) {
+  const {
+    provider,
+    operation,
+    path = '',
+    contentType,
+    target: targetName,
+    bucket,
+    delimiter,
+    continuationToken,
+    maxKeys,
+    contentLength,
+    contentMd5,
+    checksumSha256,
+    responseOverrides,
+    expiresIn: requestedExpiry,
+  } = body;
+
+  // Validate required fields; `LIST` can list the root with an empty path
+  if (!operation || (!path && operation !== 'LIST')) {
     return jsonResponse({ error: 'Missing required fields: operation, path' }, request, env, 400);
   }
 
   // Validate operation
-  if (!['GET', 'PUT', 'DELETE'].includes(operation)) {
+  if (!SUPPORTED_OPERATIONS.includes(operation)) {
     return jsonResponse(
-      { error: 'Invalid operation. Must be GET, PUT, or DELETE' },
+      { error: `Invalid operation. Must be one of ${SUPPORTED_OPERATIONS.join(', ')}` },
       request,
       env,
       400,
@@ -98,24 +393,156 @@ export async function handlePresign(request, env) {
   }
 
   // Validate path (prevent directory traversal)
-  if (path.includes('..') || path.startsWith('/')) {
+  if (typeof path !== 'string' || path.includes('..') || path.startsWith('/')) {
     return jsonResponse({ error: 'Invalid path' }, request, env, 400);
   }
 
+  if (requestedExpiry !== undefined && !isExpiry(requestedExpiry)) {
+    return jsonResponse({ error: 'expiresIn must be a positive integer' }, request, env, 400);
+  }
+
+  // Validate list parameters
+  if (
+    (delimiter !== undefined && typeof delimiter !== 'string') ||
+    (continuationToken !== undefined && typeof continuationToken !== 'string') ||
+    (maxKeys !== undefined && !(Number.isInteger(maxKeys) && maxKeys >= 1 && maxKeys <= 1000))
+  ) {
+    return jsonResponse({ error: 'Invalid list parameters' }, request, env, 400);
+  }
+
+  // Validate response header overrides, which only apply to downloads
+  if (responseOverrides !== undefined) {
+    if (operation !== 'GET' && operation !== 'HEAD') {
+      return jsonResponse(
+        { error: 'responseOverrides can only be used with GET and HEAD' },
+        request,
+        env,
+        400,
+      );
+    }
+
+    if (!isResponseOverrides(responseOverrides)) {
+      return jsonResponse(
+        { error: `responseOverrides can only contain ${RESPONSE_OVERRIDES.join(', ')}` },
+        request,
+        env,
+        400,
+      );
+    }
+  }
+
+  // Validate integrity parameters, which only apply to uploads
+  if (
+    (contentLength !== undefined || contentMd5 !== undefined || checksumSha256 !== undefined) &&
+    operation !== 'PUT'
+  ) {
+    return jsonResponse(
+      { error: 'contentLength and checksums can only be used with PUT' },
+      request,
+      env,
+      400,
+    );
+  }
+
+  if (
+    (contentLength !== undefined && !(Number.isSafeInteger(contentLength) && contentLength >= 0)) ||
+    (contentMd5 !== undefined &&
+      !(typeof contentMd5 === 'string' && DIGEST_PATTERNS.md5.test(contentMd5))) ||
+    (checksumSha256 !== undefined &&
+      !(typeof checksumSha256 === 'string' && DIGEST_PATTERNS.sha256.test(checksumSha256)))
+  ) {
+    return jsonResponse({ error: 'Invalid integrity parameters' }, request, env, 400);
+  }
+
+  // Check the roles and the path policy, and resolve the named target or bucket override
+  const { target, decisions, response } = authorizeRequest(request, env, session, {
+    operation,
+    paths: [path],
+    fields: { target: targetName, provider, bucket },
+  });
+
+  if (!target || !decisions) {
+    return /** @type {Response} */ (response);
+  }
+
   try {
     // Get the appropriate presigner
-    const presigner = getPresigner(provider, env);
+    const presigner = getTargetPresigner(target, env);
 
-    // Generate presigned URL
-    const url = await presigner.generatePresignedUrl({
+    if (operation === 'LIST' && !presigner.canList) {
+      return jsonResponse({ error: LIST_DISABLED_ERROR }, request, env, 403);
+    }
+
+    // Apply the upload limits of the target and the policy rule, like for POST uploads
+    if (operation === 'PUT') {
+      const limitError = checkUploadLimits({
+        contentType,
+        contentLength,
+        target,
+        decision: decisions[0],
+        presigner,
+      });
+
+      if (limitError) {
+        return jsonResponse({ error: limitError.error }, request, env, limitError.status);
+      }
+    }
+
+    // Downloads can be signed at the start of a fixed window, so the URL can be cached
+    const { signedAt, expiresIn, remaining } = getSigningWindow(env, session, {
       operation,
-      path,
-      contentType,
-      bucket,
-      expiresIn: DEFAULT_EXPIRY,
+      expiresIn: getExpiry(env, session, {
+        operation,
+        requested: requestedExpiry ?? DEFAULT_EXPIRY,
+        providerMax: presigner.maxExpiresIn,
+      }),
+      providerMax: presigner.maxExpiresIn,
     });
 
-    return jsonResponse({ url, expiresIn: DEFAULT_EXPIRY, path, operation }, request, env);
+    /** @type {PresignOptions} */
+    const options = {
+      operation,
+      path: getTargetPath(target, path),
+      contentType,
+      bucket: target.bucket,
+      expiresIn,
+      signedAt,
+      delimiter,
+      continuationToken,
+      maxKeys,
+      contentLength,
+      contentMd5,
+      checksumSha256,
+      responseOverrides,
+    };
+
+    // Get the headers the client has to send, which fails if the provider doesn’t support the
+    // requested checksum or response overrides
+    /** @type {Record<string, string>} */
+    let headers;
+
+    try {
+      headers = presigner.getRequiredHeaders(options);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unsupported integrity check';
+
+      return jsonResponse({ error: message }, request, env, 400);
+    }
+
+    // Generate presigned URL
+    const url = await presigner.generatePresignedUrl(options);
+
+    return jsonResponse(
+      {
+        url,
+        expiresIn: remaining,
+        path,
+        operation,
+        ...(Object.keys(headers).length ? { headers } : {}),
+      },
+      request,
+      env,
+    );
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Presign error:', error);
@@ -127,7 +554,108 @@ export async function handlePresign(request, env) {
 }
 
 /**
- * Handle batch presigned URL request for multiple paths.
+ * Maximum number of batch items signed at the same time.
+ */
+const BATCH_CONCURRENCY = 10;
+
+/**
+ * Check a batch item and get its presign options. An invalid or denied item only fails itself.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {SessionPayload} session - Session.
+ * @param {object} args - Arguments.
+ * @param {PresignBatchItem} args.item - Batch item.
+ * @param {Operation} args.operation - Operation of items that don’t specify one.
+ * @param {number} args.requestedExpiry - Requested expiry in seconds.
+ * @param {ResolvedTarget} args.target - Resolved target.
+ * @param {Presigner} args.presigner - Presigner of the target.
+ * @returns {{ result: PresignBatchResult, options?: PresignOptions }} Result of the item, and the
+ * options to sign it with unless it failed.
+ * @throws {Error} If the policy or the expiry configuration is not valid, which fails the batch.
+ */
+function prepareBatchItem(
+  env,
+  session,
+  { item, operation: batchOperation, requestedExpiry, target, presigner },
+) {
+  const { path, operation = batchOperation, contentType, contentLength } = item;
+  /** @type {PresignBatchResult} */
+  const result = { path, operation };
+
+  if (!SUPPORTED_OPERATIONS.includes(operation)) {
+    return { result: { ...result, error: 'Invalid operation' } };
+  }
+
+  // Only `LIST` can list the root with an empty path
+  if (
+    typeof path !== 'string' ||
+    (!path && operation !== 'LIST') ||
+    path.includes('..') ||
+    path.startsWith('/')
+  ) {
+    return { result: { ...result, error: 'Invalid path' } };
+  }
+
+  if (contentType !== undefined && typeof contentType !== 'string') {
+    return { result: { ...result, error: 'Invalid contentType' } };
+  }
+
+  if (
+    contentLength !== undefined &&
+    (operation !== 'PUT' || !(Number.isSafeInteger(contentLength) && contentLength >= 0))
+  ) {
+    return { result: { ...result, error: 'Invalid contentLength' } };
+  }
+
+  if (!isOperationAllowed(session.roles, operation)) {
+    return { result: { ...result, error: `Your role does not allow ${operation} operations` } };
+  }
+
+  const decision = evaluatePolicy(env, session, operation, path, target.name);
+
+  if (!decision.allowed) {
+    return { result: { ...result, error: decision.reason, rule: decision.rule } };
+  }
+
+  if (operation === 'LIST' && !presigner.canList) {
+    return { result: { ...result, error: LIST_DISABLED_ERROR } };
+  }
+
+  const limitError =
+    operation === 'PUT'
+      ? checkUploadLimits({ contentType, contentLength, target, decision, presigner })
+      : undefined;
+
+  if (limitError) {
+    return { result: { ...result, error: limitError.error } };
+  }
+
+  const { signedAt, expiresIn, remaining } = getSigningWindow(env, session, {
+    operation,
+    expiresIn: getExpiry(env, session, {
+      operation,
+      requested: requestedExpiry,
+      providerMax: presigner.maxExpiresIn,
+    }),
+    providerMax: presigner.maxExpiresIn,
+  });
+
+  return {
+    result: { ...result, expiresIn: remaining },
+    options: {
+      operation,
+      path: getTargetPath(target, path),
+      contentType,
+      contentLength,
+      bucket: target.bucket,
+      expiresIn,
+      signedAt,
+    },
+  };
+}
+
+/**
+ * Handle batch presigned URL request for multiple paths. Each item can have its own operation, and
+ * fails on its own without failing the batch.
  * @param {Request} request - HTTP request.
  * @param {{ [key: string]: string }} env - Environment variables.
  * @returns {Promise<Response>} HTTP response.
@@ -150,50 +678,117 @@ export async function handlePresignBatch(request, env) {
     return jsonResponse({ error: 'Invalid JSON body' }, request, env, 400);
   }
 
-  const { provider, paths, operation = 'GET', bucket } = body;
+  const {
+    provider,
+    paths,
+    items,
+    operation = 'GET',
+    target: targetName,
+    bucket,
+    expiresIn: requestedExpiry,
+  } = body;
 
-  // Validate paths
-  if (!Array.isArray(paths) || paths.length === 0) {
-    return jsonResponse({ error: 'paths must be a non-empty array' }, request, env, 400);
+  // Validate operation
+  if (!SUPPORTED_OPERATIONS.includes(operation)) {
+    return jsonResponse(
+      { error: `Invalid operation. Must be one of ${SUPPORTED_OPERATIONS.join(', ')}` },
+      request,
+      env,
+      400,
+    );
   }
 
-  // Limit batch size
-  const maxBatchSize = 100;
+  // Validate items; `paths` is a shorthand for items with the batch operation
+  const list = items ?? paths;
 
-  if (paths.length > maxBatchSize) {
-    const errorMsg = `Batch size exceeds maximum of ${maxBatchSize}`;
+  if (!Array.isArray(list) || list.length === 0 || (items && paths)) {
+    return jsonResponse(
+      { error: 'Either items or paths must be a non-empty array' },
+      request,
+      env,
+      400,
+    );
+  }
+
+  // Limit batch size
+  if (list.length > MAX_BATCH_SIZE) {
+    const errorMsg = `Batch size exceeds maximum of ${MAX_BATCH_SIZE}`;
 
     return jsonResponse({ error: errorMsg }, request, env, 400);
   }
 
-  // Validate all paths using Array methods instead of for-of loop
-  const invalidPath = paths.find(
-    (p) => typeof p !== 'string' || p.includes('..') || p.startsWith('/'),
-  );
+  if (requestedExpiry !== undefined && !isExpiry(requestedExpiry)) {
+    return jsonResponse({ error: 'expiresIn must be a positive integer' }, request, env, 400);
+  }
+
+  /** @type {PresignBatchItem[]} */
+  const batchItems = items
+    ? items.map((item) => (item && typeof item === 'object' ? item : { path: item }))
+    : list.map((path) => ({ path }));
 
-  if (invalidPath !== undefined) {
-    return jsonResponse({ error: `Invalid path: ${invalidPath}` }, request, env, 400);
+  // Resolve the named target or bucket override
+  const { target, response } = getTarget(request, env, {
+    target: targetName,
+    provider,
+    bucket,
+  });
+
+  if (!target) {
+    return /** @type {Response} */ (response);
   }
 
   try {
     // Get the appropriate presigner
-    const presigner = getPresigner(provider, env);
-    // Generate presigned URLs for all paths
-    /** @type {Record<string, string>} */
-    const urls = {};
+    const presigner = getTargetPresigner(target, env);
 
-    // Process paths sequentially (avoids rate limits)
-    // eslint-disable-next-line no-restricted-syntax
-    for (const path of paths) {
-      urls[path] = await presigner.generatePresignedUrl({
+    // Check the roles and the path policy of each item
+    const prepared = batchItems.map((item) =>
+      prepareBatchItem(env, session, {
+        item,
         operation,
-        path,
-        bucket,
-        expiresIn: DEFAULT_EXPIRY,
-      });
+        requestedExpiry: requestedExpiry ?? DEFAULT_EXPIRY,
+        target,
+        presigner,
+      }),
+    );
+
+    // Signing is local work, so items are signed concurrently
+    const results = await mapConcurrent(
+      prepared,
+      BATCH_CONCURRENCY,
+      async ({ result, options }) => {
+        if (!options) {
+          return result;
+        }
+
+        try {
+          const headers = presigner.getRequiredHeaders(options);
+          const url = await presigner.generatePresignedUrl(options);
+
+          return { ...result, url, ...(Object.keys(headers).length ? { headers } : {}) };
+        } catch (error) {
+          const message =
+            error instanceof Error ? error.message : 'Failed to generate presigned URL';
+
+          return { ...result, expiresIn: undefined, error: message };
+        }
+      },
+    );
+
+    const failed = results.filter(({ error }) => error).length;
+
+    if (items) {
+      return jsonResponse({ results, count: results.length, failed }, request, env);
     }
 
-    return jsonResponse({ urls, expiresIn: DEFAULT_EXPIRY, count: paths.length }, request, env);
+    // Keep the `urls` map for requests with `paths`
+    const urls = Object.fromEntries(
+      results.filter(({ url }) => url).map(({ path, url }) => [path, url]),
+    );
+
+    const expiresIn = Math.min(...results.map((result) => result.expiresIn ?? DEFAULT_EXPIRY));
+
+    return jsonResponse({ urls, expiresIn, count: results.length, failed, results }, request, env);
   } catch (error) {
     // eslint-disable-next-line no-console
     console.error('Presign batch error:', error);
@@ -203,3 +798,128 @@ export async function handlePresignBatch(request, env) {
     return jsonResponse({ error: message }, request, env, 500);
   }
 }
+
+/**
+ * Maximum size of POST policy uploads in bytes (5 GiB), which is the S3 limit for a single upload.
+ * Targets and policy rules can lower it.
+ */
+const MAX_POST_SIZE = 5 * 1024 ** 3;
+
+/**
+ * Handle presigned POST policy request for a browser form upload. Unlike a presigned PUT URL, the
+ * policy limits the size and content type of the uploaded file.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handlePresignPost(request, env) {
+  // Validate session
+  const session = await validateSession(request, env);
+
+  if (!session) {
+    return jsonResponse({ error: 'Unauthorized' }, request, env, 401);
+  }
+
+  // Parse request body
+  /** @type {PresignPostRequest} */
+  let body;
+
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, request, env, 400);
+  }
+
+  const {
+    provider,
+    path,
+    contentType,
+    maxSize: requestedSize,
+    target: targetName,
+    bucket,
+    expiresIn: requestedExpiry,
+  } = body;
+
+  // Validate path (prevent directory traversal)
+  if (typeof path !== 'string' || !path || path.includes('..') || path.startsWith('/')) {
+    return jsonResponse({ error: 'Invalid path' }, request, env, 400);
+  }
+
+  if (contentType !== undefined && (typeof contentType !== 'string' || !contentType)) {
+    return jsonResponse({ error: 'Invalid contentType' }, request, env, 400);
+  }
+
+  if (requestedSize !== undefined && !(Number.isInteger(requestedSize) && requestedSize > 0)) {
+    return jsonResponse({ error: 'maxSize must be a positive integer' }, request, env, 400);
+  }
+
+  if (requestedExpiry !== undefined && !isExpiry(requestedExpiry)) {
+    return jsonResponse({ error: 'expiresIn must be a positive integer' }, request, env, 400);
+  }
+
+  // Check the roles and the path policy, and resolve the named target or bucket override
+  const { target, decisions, response } = authorizeRequest(request, env, session, {
+    operation: 'PUT',
+    paths: [path],
+    fields: { target: targetName, provider, bucket },
+  });
+
+  if (!target || !decisions) {
+    return /** @type {Response} */ (response);
+  }
+
+  // Apply the strictest limits of the target, the policy rule and the request
+  const [decision] = decisions;
+
+  const maxSize = Math.min(
+    ...[MAX_POST_SIZE, target.maxSize, decision.maxSize, requestedSize].filter(
+      (size) => typeof size === 'number',
+    ),
+  );
+
+  const contentTypeError = checkContentType(contentType, target, decision);
+
+  if (contentTypeError) {
+    return jsonResponse({ error: contentTypeError.error }, request, env, contentTypeError.status);
+  }
+
+  const isWildcard = !!contentType?.endsWith('/*');
+
+  try {
+    // Get the appropriate presigner
+    const presigner = getTargetPresigner(target, env);
+
+    if (!presigner.generatePresignedPost) {
+      return jsonResponse(
+        { error: 'The storage provider does not support POST uploads; use PUT instead' },
+        request,
+        env,
+        400,
+      );
+    }
+
+    const expiresIn = getExpiry(env, session, {
+      operation: 'PUT',
+      requested: requestedExpiry ?? DEFAULT_EXPIRY,
+      providerMax: presigner.maxExpiresIn,
+    });
+
+    const { url, fields } = await presigner.generatePresignedPost({
+      path: getTargetPath(target, path),
+      bucket: target.bucket,
+      maxSize,
+      contentType: isWildcard ? undefined : contentType,
+      contentTypePrefix: isWildcard ? contentType?.slice(0, -1) : '',
+      expiresIn,
+    });
+
+    return jsonResponse({ url, fields, expiresIn, path, maxSize }, request, env);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.error('Presign POST error:', error);
+
+    const message = error instanceof Error ? error.message : 'Failed to generate POST policy';
+
+    return jsonResponse({ error: message }, request, env, 500);
+  }
+}
@@ -1,9 +1,18 @@
-import { SignJWT, jwtVerify } from 'jose';
-
-/**
- * Session duration in seconds (4 hours).
- */
-const SESSION_DURATION = 60 * 60 * 4;
+import { SignJWT } from 'jose';
+import {
+  checkMembership,
+  fetchRepositoryPermission,
+  fetchUser,
+  getBackend,
+  hasPermission,
+  SUPPORTED_BACKENDS,
+} from '../backends/index.js';
+import { isExpiry } from '../access/expiry.js';
+import { getAllowedRepos, isAllowedRepo } from '../access/repos.js';
+import { resolveRoles } from '../access/roles.js';
+import { getJwks, signToken, verifyToken } from '../session/keys.js';
+import { isSessionRevoked, revokeLogin, revokeSession } from '../session/revocation.js';
+import { jsonResponse } from '../utils/response.js';
 
 /**
  * @typedef {object} SessionPayload
@@ -12,10 +21,183 @@ const SESSION_DURATION = 60 * 60 * 4;
  * @property {string} [email] - User email.
  * @property {string} provider - OAuth provider name.
  * @property {string} [login] - User login/username.
+ * @property {string} [repo] - Repository the user has been authorized for.
+ * @property {import('../backends/index.js').RepoPermission} [permission] - User’s permission on
+ * the repository.
+ * @property {import('../access/roles.js').Role[]} [roles] - User’s roles, which determine the
+ * allowed presign operations.
+ * @property {string} [jti] - Session ID, used to revoke the session. Missing in tokens issued
+ * before sessions could be revoked.
+ * @property {number} [auth_time] - Timestamp of the sign-in the session was created or refreshed
+ * from. Missing in tokens issued before sessions could be refreshed.
+ * @property {string} [iss] - Authenticator that issued the session.
+ * @property {string} [aud] - Hostname of the site the session was issued for. `iss` and `aud` are
+ * missing in tokens issued before sessions were bound to a site.
+ * @property {string} [csrf] - CSRF token of a session kept in a cookie.
  * @property {number} iat - Issued at timestamp.
  * @property {number} exp - Expiration timestamp.
  */
 
+/**
+ * Default absolute session lifetime in seconds (24 hours), counted from the sign-in, after which
+ * the session can no longer be refreshed.
+ */
+const DEFAULT_MAX_LIFETIME = 60 * 60 * 24;
+
+/**
+ * Parse the `SESSION_MAX_LIFETIME` environment variable.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {number} Absolute session lifetime in seconds.
+ * @throws {Error} If the variable is not valid.
+ */
+function getMaxLifetime(env) {
+  const { SESSION_MAX_LIFETIME } = env;
+
+  if (!SESSION_MAX_LIFETIME) {
+    return DEFAULT_MAX_LIFETIME;
+  }
+
+  const maxLifetime = Number(SESSION_MAX_LIFETIME);
+
+  if (!isExpiry(maxLifetime)) {
+    throw new Error('SESSION_MAX_LIFETIME must be a positive integer');
+  }
+
+  return maxLifetime;
+}
+
+/**
+ * Get the issuer of session tokens: `SESSION_ISSUER`, or the origin of the authenticator.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {string} Issuer.
+ */
+function getIssuer(request, env) {
+  return env.SESSION_ISSUER || new URL(request.url).origin;
+}
+
+/**
+ * Get the hostname of the site that sent a request from the `Origin` header, which browsers set on
+ * cross-origin requests and scripts cannot change.
+ * @param {Request} request - HTTP request.
+ * @returns {string | undefined} Hostname, or the raw header value if it’s not a URL, e.g. `null`
+ * for sandboxed pages. `undefined` if the header is missing.
+ */
+function getRequestSite(request) {
+  const origin = request.headers.get('Origin');
+
+  if (!origin) {
+    return undefined;
+  }
+
+  try {
+    return new URL(origin).hostname;
+  } catch {
+    return origin;
+  }
+}
+
+/**
+ * Parse the `SESSION_COOKIE` environment variable, which enables the cookie mode: sessions are kept
+ * in an HttpOnly cookie instead of being handed to the CMS as a bearer token, so a script injected
+ * into the CMS page can’t steal them.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {'Strict' | 'Lax' | 'None' | undefined} `SameSite` attribute of the cookie, or
+ * `undefined` if the cookie mode is disabled.
+ * @throws {Error} If the variable is not valid.
+ */
+function getCookieSameSite(env) {
+  const { SESSION_COOKIE } = env;
+
+  if (!SESSION_COOKIE) {
+    return undefined;
+  }
+
+  const sameSite = /** @type {const} */ (['Strict', 'Lax', 'None']).find(
+    (value) => value.toLowerCase() === SESSION_COOKIE.trim().toLowerCase(),
+  );
+
+  if (!sameSite) {
+    throw new Error('SESSION_COOKIE must be Strict, Lax or None');
+  }
+
+  return sameSite;
+}
+
+/**
+ * Get the `Set-Cookie` header value of the session cookie.
+ * @param {string} value - Session token, or `deleted` to remove the cookie.
+ * @param {number} maxAge - Lifetime in seconds, `0` to remove the cookie.
+ * @param {string} sameSite - `SameSite` attribute.
+ * @returns {string} Header value.
+ */
+function getSessionCookie(value, maxAge, sameSite) {
+  return [
+    `session-token=${value}`,
+    'HttpOnly',
+    'Path=/',
+    `Max-Age=${maxAge}`,
+    `SameSite=${sameSite}`,
+    'Secure',
+  ].join('; ');
+}
+
+/**
+ * Read the session token of a request from the Authorization header, or from the session cookie in
+ * the cookie mode.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {{ token: string, fromCookie: boolean } | undefined} Token and where it comes from, or
+ * `undefined` if the request has none.
+ * @throws {Error} If `SESSION_COOKIE` is not valid.
+ */
+function readSessionToken(request, env) {
+  const authHeader = request.headers.get('Authorization');
+
+  if (authHeader?.startsWith('Bearer ')) {
+    return { token: authHeader.slice(7), fromCookie: false };
+  }
+
+  if (!getCookieSameSite(env)) {
+    return undefined;
+  }
+
+  const [, token] = request.headers.get('Cookie')?.match(/(?:^|;\s*)session-token=([\w.-]+)/) ?? [];
+
+  return token ? { token, fromCookie: true } : undefined;
+}
+
+/**
+ * Create the response handing a new session to the client. In the cookie mode, the token is set as
+ * a cookie, and only the CSRF token is returned, which the client has to send as the
+ * `X-CSRF-Token` header with state-changing requests.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {object} args - Arguments.
+ * @param {string} args.token - Session token.
+ * @param {number} args.expiresIn - Session lifetime in seconds.
+ * @param {string} [args.csrfToken] - CSRF token of the session, in the cookie mode.
+ * @param {string} [args.sameSite] - `SameSite` attribute of the cookie, in the cookie mode.
+ * @param {object} args.data - Other response data.
+ * @returns {Response} HTTP response.
+ */
+function sessionResponse(request, env, { token, expiresIn, csrfToken, sameSite, data }) {
+  if (!sameSite) {
+    return jsonResponse({ sessionToken: token, ...data, expiresIn }, request, env);
+  }
+
+  const response = jsonResponse({ csrfToken, ...data, expiresIn }, request, env);
+
+  response.headers.append('Set-Cookie', getSessionCookie(token, expiresIn, sameSite));
+
+  return response;
+}
+
+/**
+ * Session duration in seconds (4 hours). Sessions can be extended with `/session/refresh`.
+ */
+const SESSION_DURATION = 60 * 60 * 4;
+
 /**
  * Create a session token for the authenticated user.
  * @param {object} user - User information from OAuth provider.
@@ -25,56 +207,101 @@ const SESSION_DURATION = 60 * 60 * 4;
  * @param {string} user.provider - OAuth provider name.
  * @param {string} [user.login] - User login/username.
  * @param {{ [key: string]: string }} env - Environment variables.
- * @returns {Promise<string>} JWT session token.
+ * @param {object} [claims] - Additional claims.
+ * @param {string} [claims.repo] - Repository the user has been authorized for.
+ * @param {import('../backends/index.js').RepoPermission} [claims.permission] - User’s permission
+ * on the repository.
+ * @param {import('../access/roles.js').Role[]} [claims.roles] - User’s roles.
+ * @param {number} [claims.authTime] - Timestamp of the original sign-in when refreshing a session.
+ * Defaults to now.
+ * @param {string} [claims.issuer] - Authenticator issuing the session, as returned by `getIssuer`.
+ * @param {string} [claims.audience] - Hostname of the site the session is issued for.
+ * @param {string} [claims.csrf] - CSRF token of a session kept in a cookie.
+ * @returns {Promise<{ token: string, expiresIn: number }>} JWT session token and its lifetime in
+ * seconds, which is shortened to stay within `SESSION_MAX_LIFETIME` of the sign-in.
+ * @throws {Error} If no signing key is configured, `JWT_SIGNING_KEYS` or `SESSION_MAX_LIFETIME` is
+ * not valid, or the session has reached its maximum lifetime.
  */
-export async function createSessionToken(user, env) {
-  const { JWT_SECRET } = env;
+export async function createSessionToken(user, env, claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const authTime = claims.authTime ?? now;
+  const expiresIn = Math.min(SESSION_DURATION, authTime + getMaxLifetime(env) - now);
 
-  if (!JWT_SECRET) {
-    throw new Error('JWT_SECRET is not configured');
+  if (expiresIn <= 0) {
+    throw new Error('Session has reached its maximum lifetime');
   }
 
-  const secret = new TextEncoder().encode(JWT_SECRET);
-
-  return new SignJWT({
+  const jwt = new SignJWT({
     sub: user.id,
     name: user.name,
     email: user.email,
     provider: user.provider,
     login: user.login,
+    repo: claims.repo,
+    permission: claims.permission,
+    roles: claims.roles,
+    auth_time: authTime,
+    csrf: claims.csrf,
   })
-    .setProtectedHeader({ alg: 'HS256' })
-    .setIssuedAt()
-    .setExpirationTime(`${SESSION_DURATION}s`)
-    .sign(secret);
+    .setJti(crypto.randomUUID())
+    .setIssuedAt(now)
+    .setExpirationTime(now + expiresIn);
+
+  if (claims.issuer) {
+    jwt.setIssuer(claims.issuer);
+  }
+
+  if (claims.audience) {
+    jwt.setAudience(claims.audience);
+  }
+
+  return { token: await signToken(jwt, env), expiresIn };
 }
 
 /**
- * Validate a session token from the Authorization header.
+ * Validate a session token from the Authorization header, or from the session cookie in the cookie
+ * mode. Revoked sessions are invalid, and so are sessions issued by another authenticator, or for
+ * another site than the one sending the request. Clients that don’t send `Origin`, such as scripts,
+ * have to name the site of a site-bound session with the `X-Site-Id` header.
  * @param {Request} request - HTTP request.
  * @param {{ [key: string]: string }} env - Environment variables.
  * @returns {Promise<SessionPayload | null>} Session payload or null if invalid.
  */
 export async function validateSession(request, env) {
-  const { JWT_SECRET } = env;
+  try {
+    const { token, fromCookie } = readSessionToken(request, env) ?? {};
 
-  if (!JWT_SECRET) {
-    return null;
-  }
+    if (!token) {
+      return null;
+    }
 
-  const authHeader = request.headers.get('Authorization');
+    const session = /** @type {SessionPayload} */ (await verifyToken(token, env));
+    const site = getRequestSite(request) ?? request.headers.get('X-Site-Id') ?? undefined;
 
-  if (!authHeader?.startsWith('Bearer ')) {
-    return null;
-  }
+    // Browsers attach the cookie to requests from any site, so state-changing requests also have
+    // to send the CSRF token that only the CMS has received
+    if (
+      fromCookie &&
+      !['GET', 'HEAD'].includes(request.method) &&
+      (!session.csrf || request.headers.get('X-CSRF-Token') !== session.csrf)
+    ) {
+      return null;
+    }
 
-  const token = authHeader.slice(7);
-  const secret = new TextEncoder().encode(JWT_SECRET);
+    if (session.iss !== undefined && session.iss !== getIssuer(request, env)) {
+      return null;
+    }
 
-  try {
-    const { payload } = await jwtVerify(token, secret);
+    if (session.aud !== undefined && session.aud !== site) {
+      return null;
+    }
+
+    // Fail closed if the revocation store is unavailable
+    if (await isSessionRevoked(env, session)) {
+      return null;
+    }
 
-    return /** @type {SessionPayload} */ (payload);
+    return session;
   } catch {
     return null;
   }
@@ -90,17 +317,11 @@ export async function handleSession(request, env) {
   const session = await validateSession(request, env);
 
   if (!session) {
-    return new Response(JSON.stringify({ error: 'Invalid or expired session' }), {
-      status: 401,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
-    });
+    return jsonResponse({ error: 'Invalid or expired session' }, request, env, 401);
   }
 
-  return new Response(
-    JSON.stringify({
+  return jsonResponse(
+    {
       user: {
         id: session.sub,
         name: session.name,
@@ -108,132 +329,418 @@ export async function handleSession(request, env) {
         provider: session.provider,
         login: session.login,
       },
+      repo: session.repo,
+      permission: session.permission,
+      roles: session.roles,
       expiresAt: session.exp ? session.exp * 1000 : null,
-    }),
-    {
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
+      // Lets the CMS recover the CSRF token of a cookie session after a page reload
+      csrfToken: session.csrf,
     },
+    request,
+    env,
   );
 }
 
+/**
+ * Minimum repository permission required to get a session. Anyone who can push to the CMS
+ * repository can already change the content, so they can also manage the media.
+ * @type {import('../backends/index.js').RepoPermission}
+ */
+const REQUIRED_PERMISSION = 'write';
+
+/**
+ * @typedef {object} AuthorizedUser
+ * @property {import('../backends/index.js').BackendUser} user - User information from the OAuth
+ * provider.
+ * @property {string} repo - Repository the user has been authorized for.
+ * @property {import('../backends/index.js').RepoPermission} permission - User’s permission on the
+ * repository.
+ * @property {import('../access/roles.js').Role[]} roles - User’s roles.
+ */
+
+/**
+ * @typedef {object} AuthorizationError
+ * @property {number} status - HTTP status code.
+ * @property {{ error: string, errorCode?: string }} body - Response body.
+ */
+
+/**
+ * Validate an OAuth token against the provider, and check the user’s membership and permission on
+ * a repository listed in `ALLOWED_REPOS`. Used when a session is created, and when it’s refreshed
+ * with a new OAuth token.
+ * @param {object} args - Arguments.
+ * @param {import('../backends/index.js').Backend} args.backend - Backend definition.
+ * @param {string} args.token - OAuth access token.
+ * @param {unknown} [args.requestedRepo] - Repository given in the request.
+ * @param {{ [key: string]: string }} args.env - Environment variables.
+ * @returns {Promise<{ authorized?: AuthorizedUser, error?: AuthorizationError }>} Authorized user,
+ * or the reason why the user is not authorized.
+ */
+async function authorizeUser({ backend, token, requestedRepo, env }) {
+  // Validate the OAuth token by fetching user info
+  const userInfo = await fetchUser(backend, token);
+
+  if (!userInfo) {
+    return { error: { status: 401, body: { error: `Invalid ${backend.label} token` } } };
+  }
+
+  if (!(await checkMembership(backend, token, userInfo))) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: 'User is not a member of an allowed organization, team or group',
+          errorCode: 'NOT_A_MEMBER',
+        },
+      },
+    };
+  }
+
+  // Only repositories listed in the server configuration are trusted: checking a repository chosen
+  // by the client would let anyone get a session by naming a repository of their own
+  const allowedRepos = getAllowedRepos(env);
+
+  if (!allowedRepos.length) {
+    return {
+      error: {
+        status: 500,
+        body: { error: 'ALLOWED_REPOS is not configured', errorCode: 'MISCONFIGURED_REPOS' },
+      },
+    };
+  }
+
+  // Determine the repository to check: the one from the CMS config, or the only allowed one
+  /** @type {string | undefined} */
+  let repo;
+
+  if (typeof requestedRepo === 'string' && requestedRepo) {
+    repo = requestedRepo;
+  } else if (allowedRepos.length === 1) {
+    [repo] = allowedRepos;
+  }
+
+  if (!repo) {
+    return { error: { status: 400, body: { error: 'Missing repo' } } };
+  }
+
+  if (!isAllowedRepo(env, repo)) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: 'Repository is not allowed to use the authenticator',
+          errorCode: 'UNSUPPORTED_REPO',
+        },
+      },
+    };
+  }
+
+  const permission = await fetchRepositoryPermission(backend, token, repo);
+
+  if (!hasPermission(permission, REQUIRED_PERMISSION)) {
+    return {
+      error: {
+        status: 403,
+        body: {
+          error: 'User does not have write access to the repository',
+          errorCode: 'INSUFFICIENT_PERMISSION',
+        },
+      },
+    };
+  }
+
+  const roles = await resolveRoles({ backend, token, user: userInfo, repo, permission, env });
+
+  return { authorized: { user: userInfo, repo, permission, roles } };
+}
+
 /**
  * Handle token exchange - convert OAuth token to session token.
  * This endpoint allows the CMS to exchange a valid OAuth token for a session token
- * that can be used for presigned URL requests.
+ * that can be used for presigned URL requests. The session is bound to the site sending the
+ * request, identified by the `Origin` header, or by `site_id` for clients that don’t send it.
  * @param {Request} request - HTTP request.
  * @param {{ [key: string]: string }} env - Environment variables.
  * @returns {Promise<Response>} HTTP response.
  */
 export async function handleTokenExchange(request, env) {
   try {
-    const { provider, token } = await request.json();
+    const { provider, token, repo: requestedRepo, site_id: siteId } = await request.json();
 
     if (!provider || !token) {
-      return new Response(JSON.stringify({ error: 'Missing provider or token' }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-      });
+      return jsonResponse({ error: 'Missing provider or token' }, request, env, 400);
     }
 
-    // Validate the OAuth token by fetching user info
-    let userInfo;
+    const backend = getBackend(provider, env);
 
-    if (provider === 'github') {
-      const response = await fetch('https://api.github.com/user', {
-        headers: {
-          Authorization: `token ${token}`,
-          Accept: 'application/json',
-          'User-Agent': 'sveltia-cms-auth',
-        },
-      });
+    if (!backend) {
+      return jsonResponse({ error: 'Unsupported provider' }, request, env, 400);
+    }
+
+    const site = getRequestSite(request);
+
+    if (siteId !== undefined && (typeof siteId !== 'string' || (site && siteId !== site))) {
+      return jsonResponse(
+        { error: 'site_id does not match the request origin' },
+        request,
+        env,
+        400,
+      );
+    }
+
+    const { authorized, error } = await authorizeUser({ backend, token, requestedRepo, env });
+
+    if (!authorized) {
+      const { status, body } = /** @type {AuthorizationError} */ (error);
+
+      return jsonResponse(body, request, env, status);
+    }
+
+    const { user: userInfo, repo, permission, roles } = authorized;
+    const sameSite = getCookieSameSite(env);
+    const csrfToken = sameSite ? crypto.randomUUID() : undefined;
+
+    // Create session token
+    const { token: sessionToken, expiresIn } = await createSessionToken(userInfo, env, {
+      repo,
+      permission,
+      roles,
+      issuer: getIssuer(request, env),
+      audience: site ?? siteId,
+      csrf: csrfToken,
+    });
+
+    return sessionResponse(request, env, {
+      token: sessionToken,
+      expiresIn,
+      csrfToken,
+      sameSite,
+      data: { user: userInfo, repo, permission, roles },
+    });
+  } catch (error) {
+    return jsonResponse({ error: 'Token exchange failed' }, request, env, 500);
+  }
+}
+
+/**
+ * Handle session refresh request. A still-valid session token is exchanged for a new one, so
+ * editors working longer than a session aren’t signed out in the middle of their work. Sessions
+ * can’t be extended beyond `SESSION_MAX_LIFETIME` from the sign-in. If the request includes the
+ * OAuth `token`, or `SESSION_REFRESH_REQUIRE_TOKEN` is `true`, the token, membership and repository
+ * permission are checked again, and the roles are updated. The current token is revoked.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleSessionRefresh(request, env) {
+  const session = await validateSession(request, env);
 
-      if (!response.ok) {
-        return new Response(JSON.stringify({ error: 'Invalid GitHub token' }), {
-          status: 401,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-          },
-        });
+  if (!session) {
+    return jsonResponse({ error: 'Invalid or expired session' }, request, env, 401);
+  }
+
+  /** @type {{ token?: unknown }} */
+  let body;
+
+  try {
+    const text = await request.text();
+
+    body = text ? JSON.parse(text) : {};
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, request, env, 400);
+  }
+
+  const { token } = body;
+
+  if (token !== undefined && (typeof token !== 'string' || !token)) {
+    return jsonResponse({ error: 'Invalid token' }, request, env, 400);
+  }
+
+  if (token === undefined && env.SESSION_REFRESH_REQUIRE_TOKEN === 'true') {
+    return jsonResponse({ error: 'Missing token' }, request, env, 400);
+  }
+
+  try {
+    const authTime = session.auth_time ?? session.iat;
+
+    if (authTime + getMaxLifetime(env) <= Math.floor(Date.now() / 1000)) {
+      return jsonResponse(
+        { error: 'Session has reached its maximum lifetime', errorCode: 'SESSION_MAX_LIFETIME' },
+        request,
+        env,
+        401,
+      );
+    }
+
+    let user = {
+      id: session.sub,
+      name: session.name,
+      email: session.email,
+      provider: session.provider,
+      login: session.login,
+    };
+
+    let { repo, permission, roles } = session;
+
+    if (token) {
+      const backend = getBackend(session.provider, env);
+
+      if (!backend) {
+        return jsonResponse({ error: 'Unsupported provider' }, request, env, 400);
       }
 
-      const data = await response.json();
-
-      userInfo = {
-        id: String(data.id),
-        name: data.name || data.login,
-        email: data.email,
-        login: data.login,
-        provider: 'github',
-      };
-    } else if (provider === 'gitlab') {
-      const { GITLAB_HOSTNAME = 'gitlab.com' } = env;
-
-      const response = await fetch(`https://${GITLAB_HOSTNAME}/api/v4/user`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/json',
-        },
+      const { authorized, error } = await authorizeUser({
+        backend,
+        token,
+        requestedRepo: session.repo,
+        env,
       });
 
-      if (!response.ok) {
-        return new Response(JSON.stringify({ error: 'Invalid GitLab token' }), {
-          status: 401,
-          headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-          },
-        });
+      if (!authorized) {
+        const { status, body: errorBody } = /** @type {AuthorizationError} */ (error);
+
+        return jsonResponse(errorBody, request, env, status);
       }
 
-      const data = await response.json();
-
-      userInfo = {
-        id: String(data.id),
-        name: data.name || data.username,
-        email: data.email,
-        login: data.username,
-        provider: 'gitlab',
-      };
-    } else {
-      return new Response(JSON.stringify({ error: 'Unsupported provider' }), {
-        status: 400,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-      });
+      if (String(authorized.user.id) !== String(session.sub)) {
+        return jsonResponse({ error: 'Token belongs to a different user' }, request, env, 403);
+      }
+
+      ({ user, repo, permission, roles } = authorized);
     }
 
-    // Create session token
-    const sessionToken = await createSessionToken(userInfo, env);
-
-    return new Response(
-      JSON.stringify({
-        sessionToken,
-        user: userInfo,
-        expiresIn: SESSION_DURATION,
-      }),
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*',
-        },
-      },
-    );
-  } catch (error) {
-    return new Response(JSON.stringify({ error: 'Token exchange failed' }), {
-      status: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-      },
+    const sameSite = getCookieSameSite(env);
+    const csrfToken = sameSite ? crypto.randomUUID() : undefined;
+
+    const { token: sessionToken, expiresIn } = await createSessionToken(user, env, {
+      repo,
+      permission,
+      roles,
+      authTime,
+      issuer: getIssuer(request, env),
+      // `validateSession` has checked that the request comes from the same site
+      audience: session.aud ?? getRequestSite(request),
+      csrf: csrfToken,
     });
+
+    // Replace the current token, so a leaked one can’t be refreshed alongside it. Tokens issued
+    // before sessions could be revoked have no ID, and stay valid until they expire.
+    if (session.jti) {
+      await revokeSession(env, session);
+    }
+
+    return sessionResponse(request, env, {
+      token: sessionToken,
+      expiresIn,
+      csrfToken,
+      sameSite,
+      data: { repo, permission, roles },
+    });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Session refresh failed';
+
+    return jsonResponse({ error: message }, request, env, 500);
+  }
+}
+
+/**
+ * Handle logout request. The current session token is revoked, so it can no longer be used even
+ * if it has been leaked.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleLogout(request, env) {
+  const session = await validateSession(request, env);
+
+  if (!session) {
+    return jsonResponse({ error: 'Invalid or expired session' }, request, env, 401);
+  }
+
+  try {
+    await revokeSession(env, session);
+
+    const response = jsonResponse({ loggedOut: true }, request, env);
+    const sameSite = getCookieSameSite(env);
+
+    if (sameSite) {
+      response.headers.append('Set-Cookie', getSessionCookie('deleted', 0, sameSite));
+    }
+
+    return response;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Logout failed';
+
+    return jsonResponse({ error: message }, request, env, 500);
+  }
+}
+
+/**
+ * Handle a request to revoke all sessions of a user, for example when their account has been
+ * compromised or they have left the organization. Requires the `admin` role.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleRevokeSessions(request, env) {
+  const session = await validateSession(request, env);
+
+  if (!session) {
+    return jsonResponse({ error: 'Invalid or expired session' }, request, env, 401);
+  }
+
+  if (!session.roles?.includes('admin')) {
+    return jsonResponse({ error: 'Only admins can revoke sessions' }, request, env, 403);
+  }
+
+  /** @type {{ login?: unknown, provider?: string }} */
+  let body;
+
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON body' }, request, env, 400);
+  }
+
+  const { login, provider } = body;
+
+  if (typeof login !== 'string' || !login) {
+    return jsonResponse({ error: 'Missing login' }, request, env, 400);
+  }
+
+  if (provider !== undefined && !SUPPORTED_BACKENDS.includes(provider)) {
+    return jsonResponse({ error: 'Unsupported provider' }, request, env, 400);
+  }
+
+  try {
+    const revokedAt = await revokeLogin(env, { login, provider, lifetime: SESSION_DURATION });
+
+    return jsonResponse({ login, provider, revokedAt: revokedAt * 1000 }, request, env);
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Failed to revoke sessions';
+
+    return jsonResponse({ error: message }, request, env, 500);
+  }
+}
+
+/**
+ * Handle JWKS request. Other services can verify session tokens with the published public keys
+ * instead of sharing a secret.
+ * @param {Request} request - HTTP request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<Response>} HTTP response.
+ */
+export async function handleJwks(request, env) {
+  try {
+    const response = jsonResponse(await getJwks(env), request, env);
+
+    // Let verifiers cache the keys, but pick up a rotation within minutes
+    response.headers.set('Cache-Control', 'public, max-age=300');
+
+    return response;
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Invalid signing keys';
+
+    return jsonResponse({ error: message }, request, env, 500);
   }
 }
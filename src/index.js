@@ -1,13 +1,28 @@
 /**
  * Sveltia CMS Auth - Cloudflare Worker.
  * Provides OAuth authentication and presigned URL generation for Sveltia CMS.
- * Supports multiple storage providers (S3, R2, GCS, Azure) and OAuth providers (GitHub, GitLab).
+ * Supports multiple storage providers (S3, R2, GCS, Azure) and OAuth providers (GitHub, GitLab,
+ * Gitea/Forgejo, Bitbucket).
  * @see https://github.com/walkthru-earth/sveltia-cms-auth
  */
 
-import { handleAuth, handleCallback } from './handlers/oauth.js';
-import { handleSession, handleTokenExchange } from './handlers/session.js';
-import { handlePresign, handlePresignBatch } from './handlers/presign.js';
+import { handleAuth, handleCallback, handleRefresh } from './handlers/oauth.js';
+import {
+  handleJwks,
+  handleLogout,
+  handleRevokeSessions,
+  handleSession,
+  handleSessionRefresh,
+  handleTokenExchange,
+} from './handlers/session.js';
+import { handlePresign, handlePresignBatch, handlePresignPost } from './handlers/presign.js';
+import {
+  handleMultipartAbort,
+  handleMultipartComplete,
+  handleMultipartCreate,
+  handleMultipartSignPart,
+} from './handlers/multipart.js';
+import { getCorsHeaders, jsonResponse } from './utils/response.js';
 
 /**
  * Handle CORS preflight requests.
@@ -16,68 +31,17 @@ import { handlePresign, handlePresignBatch } from './handlers/presign.js';
  * @returns {Response} CORS preflight response.
  */
 function handleCORS(request, env) {
-  const origin = request.headers.get('Origin') || '*';
-  const { ALLOWED_ORIGINS = '*' } = env;
-  let allowOrigin = '*';
-
-  if (ALLOWED_ORIGINS !== '*') {
-    const allowedList = ALLOWED_ORIGINS.split(',').map((s) => s.trim());
-
-    allowOrigin = allowedList.includes(origin) ? origin : allowedList[0] || '*';
-  } else if (origin !== '*') {
-    allowOrigin = origin;
-  }
-
   return new Response(null, {
     status: 204,
     headers: {
-      'Access-Control-Allow-Origin': allowOrigin,
+      ...getCorsHeaders(request, env),
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Authorization, Content-Type',
-      'Access-Control-Allow-Credentials': 'true',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-CSRF-Token',
       'Access-Control-Max-Age': '86400',
     },
   });
 }
 
-/**
- * Get the appropriate CORS origin based on request and configuration.
- * @param {Request} request - HTTP request.
- * @param {{ [key: string]: string }} env - Environment variables.
- * @returns {string} CORS origin to use.
- */
-function getCorsOrigin(request, env) {
-  const origin = request.headers.get('Origin') || '*';
-  const { ALLOWED_ORIGINS = '*' } = env;
-
-  if (ALLOWED_ORIGINS !== '*') {
-    const allowedList = ALLOWED_ORIGINS.split(',').map((s) => s.trim());
-
-    return allowedList.includes(origin) ? origin : allowedList[0] || '*';
-  }
-
-  return origin !== '*' ? origin : '*';
-}
-
-/**
- * Create a simple JSON response with proper CORS headers.
- * @param {object} data - Response data.
- * @param {Request} request - HTTP request for CORS origin.
- * @param {{ [key: string]: string }} env - Environment variables.
- * @param {number} [status] - HTTP status code.
- * @returns {Response} JSON response.
- */
-function jsonResponse(data, request, env, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': getCorsOrigin(request, env),
-      'Access-Control-Allow-Credentials': 'true',
-    },
-  });
-}
-
 export default {
   /**
    * The main request handler.
@@ -87,6 +51,8 @@ export default {
    * @see https://developers.cloudflare.com/workers/runtime-apis/fetch/
    * @see https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps
    * @see https://docs.gitlab.com/ee/api/oauth2.html#authorization-code-flow
+   * @see https://docs.gitea.com/development/oauth2-provider
+   * @see https://developer.atlassian.com/cloud/bitbucket/oauth-2/
    */
   async fetch(request, env) {
     const { method, url } = request;
@@ -103,7 +69,17 @@ export default {
         {
           status: 'ok',
           version: '0.2.0',
-          features: ['oauth', 'presign', 'session'],
+          features: [
+            'oauth',
+            'refresh',
+            'presign',
+            'presign-post',
+            'multipart',
+            'session',
+            'session-refresh',
+            'jwks',
+            'logout',
+          ],
         },
         request,
         env,
@@ -124,6 +100,11 @@ export default {
       return handleCallback(request, env);
     }
 
+    // Refresh an expiring OAuth token (GitHub Apps, GitLab)
+    if (method === 'POST' && pathname === '/refresh') {
+      return handleRefresh(request, env);
+    }
+
     // ==================
     // Session Endpoints
     // ==================
@@ -133,11 +114,31 @@ export default {
       return handleSession(request, env);
     }
 
+    // Extend a session
+    if (method === 'POST' && pathname === '/session/refresh') {
+      return handleSessionRefresh(request, env);
+    }
+
+    // Publish the public keys verifying session tokens
+    if (method === 'GET' && pathname === '/.well-known/jwks.json') {
+      return handleJwks(request, env);
+    }
+
     // Exchange OAuth token for session token
     if (method === 'POST' && pathname === '/token-exchange') {
       return handleTokenExchange(request, env);
     }
 
+    // Revoke the current session
+    if (method === 'POST' && pathname === '/logout') {
+      return handleLogout(request, env);
+    }
+
+    // Revoke all sessions of a user
+    if (method === 'POST' && pathname === '/admin/revoke-sessions') {
+      return handleRevokeSessions(request, env);
+    }
+
     // ==================
     // Presigned URL Endpoints
     // ==================
@@ -152,6 +153,35 @@ export default {
       return handlePresignBatch(request, env);
     }
 
+    // Generate presigned POST policy for a browser form upload
+    if (method === 'POST' && pathname === '/presign-post') {
+      return handlePresignPost(request, env);
+    }
+
+    // ==================
+    // Multipart Upload Endpoints
+    // ==================
+
+    // Start a multipart upload
+    if (method === 'POST' && pathname === '/multipart/create') {
+      return handleMultipartCreate(request, env);
+    }
+
+    // Generate presigned URLs for parts
+    if (method === 'POST' && pathname === '/multipart/sign-part') {
+      return handleMultipartSignPart(request, env);
+    }
+
+    // Complete a multipart upload
+    if (method === 'POST' && pathname === '/multipart/complete') {
+      return handleMultipartComplete(request, env);
+    }
+
+    // Abort a multipart upload
+    if (method === 'POST' && pathname === '/multipart/abort') {
+      return handleMultipartAbort(request, env);
+    }
+
     // ==================
     // Not Found
     // ==================
@@ -163,14 +193,26 @@ export default {
           oauth: {
             'GET /auth': 'Start OAuth flow',
             'GET /callback': 'OAuth callback',
+            'POST /refresh': 'Refresh OAuth token',
           },
           session: {
             'GET /session': 'Validate session token',
+            'POST /session/refresh': 'Extend session token',
             'POST /token-exchange': 'Exchange OAuth token for session token',
+            'GET /.well-known/jwks.json': 'Public keys verifying session tokens',
+            'POST /logout': 'Revoke the current session',
+            'POST /admin/revoke-sessions': 'Revoke all sessions of a user',
           },
           presign: {
             'POST /presign': 'Generate presigned URL',
             'POST /presign-batch': 'Generate multiple presigned URLs',
+            'POST /presign-post': 'Generate presigned POST policy',
+          },
+          multipart: {
+            'POST /multipart/create': 'Start a multipart upload',
+            'POST /multipart/sign-part': 'Generate presigned URLs for parts',
+            'POST /multipart/complete': 'Complete a multipart upload',
+            'POST /multipart/abort': 'Abort a multipart upload',
           },
           health: {
             'GET /health': 'Health check',
@@ -1,8 +1,23 @@
-import { AwsClient } from 'aws4fetch';
+import {
+  abortS3MultipartUpload,
+  completeS3MultipartUpload,
+  createS3MultipartUpload,
+  getListParams,
+  getResponseParams,
+  signS3UploadPart,
+} from './multipart.js';
+import { getAwsClient, getSigningKey, hmac } from './keys.js';
+import { getIntegrityHeaders } from './integrity.js';
 
 /**
+ * @typedef {import('aws4fetch').AwsClient} AwsClient
  * @typedef {import('./index.js').PresignOptions} PresignOptions
  * @typedef {import('./index.js').Presigner} Presigner
+ * @typedef {import('./index.js').MultipartOptions} MultipartOptions
+ * @typedef {import('./index.js').PartUrlOptions} PartUrlOptions
+ * @typedef {import('./index.js').CompleteMultipartOptions} CompleteMultipartOptions
+ * @typedef {import('./index.js').PresignPostOptions} PresignPostOptions
+ * @typedef {import('./index.js').PresignedPost} PresignedPost
  */
 
 /**
@@ -12,12 +27,43 @@ import { AwsClient } from 'aws4fetch';
  * @implements {Presigner}
  */
 export class S3Presigner {
+  /**
+   * Longest expiry in seconds of a SigV4 presigned URL (7 days).
+   * @type {number}
+   */
+  maxExpiresIn = 7 * 24 * 60 * 60;
+
+  /**
+   * Whether `LIST` URLs can be generated. The prefix is part of the signed query.
+   * @type {boolean}
+   */
+  canList = true;
+
+  /**
+   * Whether the `Content-Type` and `Content-Length` headers of a `PUT` upload are signed, so the
+   * upload limits of a target or policy rule can be enforced.
+   * @type {boolean}
+   */
+  signsUploadHeaders = true;
+
   /**
    * AWS client for signing requests.
    * @type {AwsClient}
    */
   #client;
 
+  /**
+   * Access key ID, used to sign POST policies.
+   * @type {string}
+   */
+  #accessKeyId;
+
+  /**
+   * Secret access key, used to sign POST policies.
+   * @type {string}
+   */
+  #secretAccessKey;
+
   /**
    * S3 endpoint URL.
    * @type {string}
@@ -72,13 +118,15 @@ export class S3Presigner {
       throw new Error('S3_BUCKET is required');
     }
 
-    this.#client = new AwsClient({
+    this.#client = getAwsClient({
       accessKeyId: S3_ACCESS_KEY_ID,
       secretAccessKey: S3_SECRET_ACCESS_KEY,
       region: S3_REGION,
       service: 's3',
     });
 
+    this.#accessKeyId = S3_ACCESS_KEY_ID;
+    this.#secretAccessKey = S3_SECRET_ACCESS_KEY;
     this.#endpoint = S3_ENDPOINT.replace(/\/$/, ''); // Remove trailing slash
     this.#bucket = S3_BUCKET;
     this.#region = S3_REGION;
@@ -109,14 +157,51 @@ export class S3Presigner {
     return new URL(`${endpointUrl.protocol}//${virtualHost}/${fullPath}`);
   }
 
+  /**
+   * Build the URL of a bucket.
+   * @param {string} [bucket] - Override bucket name.
+   * @returns {URL} Bucket URL.
+   */
+  #buildBucketUrl(bucket) {
+    const bucketName = bucket || this.#bucket;
+
+    if (this.#forcePathStyle) {
+      // Path-style: https://endpoint/bucket
+      return new URL(`${this.#endpoint}/${bucketName}`);
+    }
+
+    // Virtual-hosted-style: https://bucket.endpoint/
+    const endpointUrl = new URL(this.#endpoint);
+
+    return new URL(`${endpointUrl.protocol}//${bucketName}.${endpointUrl.host}/`);
+  }
+
+  /**
+   * Build the URL to list objects with `ListObjectsV2`. The path prefix is included in the signed
+   * query, so the listing cannot be widened beyond it.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {URL} Bucket URL with list parameters.
+   */
+  #buildListUrl({ path, bucket, delimiter, continuationToken, maxKeys }) {
+    const cleanPath = path.replace(/^\//, ''); // Remove leading slash
+    const prefix = this.#pathPrefix ? `${this.#pathPrefix}/${cleanPath}` : cleanPath;
+    const url = this.#buildBucketUrl(bucket);
+
+    url.search = new URLSearchParams(
+      getListParams({ prefix, delimiter, continuationToken, maxKeys }),
+    ).toString();
+
+    return url;
+  }
+
   /**
    * Generate a presigned URL for S3-compatible storage.
    * @param {PresignOptions} options - Presign options.
    * @returns {Promise<string>} Presigned URL.
    */
   async generatePresignedUrl(options) {
-    const { operation, path, contentType, bucket, expiresIn = 900 } = options;
-    const url = this.#buildUrl(path, bucket);
+    const { operation, path, bucket, responseOverrides, signedAt, expiresIn = 900 } = options;
+    const url = operation === 'LIST' ? this.#buildListUrl(options) : this.#buildUrl(path, bucket);
     // Determine HTTP method based on operation
     let method = 'GET';
 
@@ -124,29 +209,154 @@ export class S3Presigner {
       method = 'PUT';
     } else if (operation === 'DELETE') {
       method = 'DELETE';
+    } else if (operation === 'HEAD') {
+      method = 'HEAD';
     }
 
-    // Build headers
-    /** @type {Record<string, string>} */
-    const headers = {};
+    // aws4fetch reads the expiry from the URL, and defaults to 24 hours if it’s missing
+    url.searchParams.set('X-Amz-Expires', String(expiresIn));
 
-    if (contentType && operation === 'PUT') {
-      headers['Content-Type'] = contentType;
+    // Override the response headers of a download
+    if (operation === 'GET' || operation === 'HEAD') {
+      Object.entries(getResponseParams(responseOverrides)).forEach(([name, value]) => {
+        url.searchParams.set(name, value);
+      });
     }
 
-    // Create request to sign
-    const request = new Request(url.toString(), {
+    // Build headers. The content type and integrity headers are signed too, so the storage service
+    // rejects an upload that doesn’t match them
+    const headers = this.getRequiredHeaders(options);
+    const allHeaders = Object.keys(headers).length > 0;
+
+    // Sign the request with query parameters. The URL is passed as a string, because a `Request`
+    // would drop the `Content-Length` header
+    const signedRequest = await this.#client.sign(url.toString(), {
       method,
       headers,
+      aws: {
+        signQuery: true,
+        allHeaders,
+        // A fixed signing time makes the URL deterministic
+        datetime: signedAt?.toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      },
     });
 
-    // Sign the request with query parameters
-    const signedRequest = await this.#client.sign(request, {
-      aws: { signQuery: true },
-      // Note: aws4fetch uses 'expiresIn' option for presigned URLs
-      expiresIn,
+    return signedRequest.url;
+  }
+
+  /**
+   * Get the headers the client has to send with the presigned request: the content type and the
+   * integrity headers of a `PUT` upload.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {Record<string, string>} Headers.
+   */
+  getRequiredHeaders(options) {
+    const { operation, contentType } = options;
+
+    return {
+      ...(contentType && operation === 'PUT' ? { 'Content-Type': contentType } : {}),
+      ...getIntegrityHeaders(options),
+    };
+  }
+
+  /**
+   * Generate a presigned POST policy for a browser form upload. The policy pins the object key and
+   * limits the size and content type of the upload.
+   * @param {PresignPostOptions} options - POST options.
+   * @returns {Promise<PresignedPost>} Form action URL and fields.
+   * @see https://docs.aws.amazon.com/AmazonS3/latest/API/sigv4-HTTPPOSTConstructPolicy.html
+   */
+  async generatePresignedPost(options) {
+    const { path, bucket, maxSize, contentType, contentTypePrefix = '', expiresIn = 900 } = options;
+    const bucketName = bucket || this.#bucket;
+    const cleanPath = path.replace(/^\//, ''); // Remove leading slash
+    const key = this.#pathPrefix ? `${this.#pathPrefix}/${cleanPath}` : cleanPath;
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const datestamp = amzDate.slice(0, 8);
+    const credential = `${this.#accessKeyId}/${datestamp}/${this.#region}/s3/aws4_request`;
+
+    /** @type {Record<string, string>} */
+    const fields = {
+      key,
+      'x-amz-algorithm': 'AWS4-HMAC-SHA256',
+      'x-amz-credential': credential,
+      'x-amz-date': amzDate,
+    };
+
+    if (contentType) {
+      fields['Content-Type'] = contentType;
+    }
+
+    const policy = {
+      expiration: new Date(now.getTime() + expiresIn * 1000).toISOString(),
+      conditions: [
+        { bucket: bucketName },
+        ...Object.entries(fields).map(([name, value]) => ({ [name]: value })),
+        ['content-length-range', 0, maxSize],
+        ...(contentType ? [] : [['starts-with', '$Content-Type', contentTypePrefix]]),
+      ],
+    };
+
+    const encodedPolicy = btoa(
+      String.fromCharCode(...new TextEncoder().encode(JSON.stringify(policy))),
+    );
+
+    // Derive the signing key and sign the encoded policy
+    const signingKey = await getSigningKey({
+      secretAccessKey: this.#secretAccessKey,
+      datestamp,
+      region: this.#region,
+      service: 's3',
     });
 
-    return signedRequest.url;
+    const signature = Array.from(new Uint8Array(await hmac(signingKey, encodedPolicy)))
+      .map((b) => b.toString(16).padStart(2, '0'))
+      .join('');
+
+    return {
+      url: this.#buildBucketUrl(bucket).toString(),
+      fields: { ...fields, policy: encodedPolicy, 'x-amz-signature': signature },
+    };
+  }
+
+  /**
+   * Start a multipart upload on S3-compatible storage.
+   * @param {MultipartOptions} options - Multipart options.
+   * @returns {Promise<string>} Upload ID.
+   */
+  async createMultipartUpload({ path, bucket, contentType }) {
+    return createS3MultipartUpload(this.#client, this.#buildUrl(path, bucket), contentType);
+  }
+
+  /**
+   * Generate a presigned URL to upload a part to S3-compatible storage.
+   * @param {PartUrlOptions} options - Part options.
+   * @returns {Promise<string>} Presigned URL.
+   */
+  async generatePartUrl({ path, bucket, uploadId, partNumber, expiresIn = 900 }) {
+    const url = this.#buildUrl(path, bucket);
+
+    return signS3UploadPart(this.#client, url, uploadId, partNumber, expiresIn);
+  }
+
+  /**
+   * Complete a multipart upload on S3-compatible storage.
+   * @param {CompleteMultipartOptions} options - Completion options.
+   * @returns {Promise<void>}
+   */
+  async completeMultipartUpload({ path, bucket, uploadId, parts }) {
+    const url = this.#buildUrl(path, bucket);
+
+    await completeS3MultipartUpload(this.#client, url, uploadId, parts);
+  }
+
+  /**
+   * Abort a multipart upload on S3-compatible storage.
+   * @param {MultipartOptions} options - Multipart options.
+   * @returns {Promise<void>}
+   */
+  async abortMultipartUpload({ path, bucket, uploadId }) {
+    await abortS3MultipartUpload(this.#client, this.#buildUrl(path, bucket), uploadId);
   }
 }
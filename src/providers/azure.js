@@ -1,6 +1,13 @@
+import { getIntegrityHeaders } from './integrity.js';
+import { getCryptoKey } from './keys.js';
+
 /**
  * @typedef {import('./index.js').PresignOptions} PresignOptions
+ * @typedef {import('./index.js').ResponseOverrides} ResponseOverrides
  * @typedef {import('./index.js').Presigner} Presigner
+ * @typedef {import('./index.js').MultipartOptions} MultipartOptions
+ * @typedef {import('./index.js').PartUrlOptions} PartUrlOptions
+ * @typedef {import('./index.js').CompleteMultipartOptions} CompleteMultipartOptions
  */
 
 /**
@@ -9,6 +16,33 @@
  * @implements {Presigner}
  */
 export class AzurePresigner {
+  /**
+   * Longest expiry in seconds of a SAS. A service SAS signed with the account key has no limit.
+   * @type {number}
+   */
+  maxExpiresIn = Number.POSITIVE_INFINITY;
+
+  /**
+   * Whether `LIST` URLs can be generated. A SAS cannot restrict the listing to a prefix, so a
+   * `LIST` URL can be used to list the whole container. Only enabled with
+   * `AZURE_ALLOW_CONTAINER_LIST`.
+   * @type {boolean}
+   */
+  canList;
+
+  /**
+   * Whether the `Content-Type` and `Content-Length` headers of a `PUT` upload are signed. A SAS
+   * doesn’t cover any header.
+   * @type {boolean}
+   */
+  signsUploadHeaders = false;
+
+  /**
+   * Pattern of the upload IDs generated by `createMultipartUpload`.
+   * @type {RegExp}
+   */
+  uploadIdPattern = /^[0-9a-f-]{36}$/;
+
   /**
    * Azure storage account name.
    * @type {string}
@@ -44,6 +78,7 @@ export class AzurePresigner {
       AZURE_STORAGE_KEY,
       AZURE_CONTAINER,
       AZURE_PATH_PREFIX = '',
+      AZURE_ALLOW_CONTAINER_LIST = 'false',
     } = env;
 
     if (!AZURE_STORAGE_ACCOUNT) {
@@ -62,6 +97,7 @@ export class AzurePresigner {
     this.#accountKey = AZURE_STORAGE_KEY;
     this.#container = AZURE_CONTAINER;
     this.#pathPrefix = AZURE_PATH_PREFIX.replace(/^\/|\/$/g, ''); // Normalize: remove leading/trailing slashes
+    this.canList = AZURE_ALLOW_CONTAINER_LIST === 'true';
   }
 
   /**
@@ -82,7 +118,7 @@ export class AzurePresigner {
    * @returns {Promise<string>} Base64-encoded signature.
    */
   async #sign(stringToSign) {
-    const key = await this.#importKey();
+    const key = await getCryptoKey(`HMAC:${this.#accountKey}`, () => this.#importKey());
     const encoder = new TextEncoder();
     const data = encoder.encode(stringToSign);
     const signature = await crypto.subtle.sign('HMAC', key, data);
@@ -100,38 +136,59 @@ export class AzurePresigner {
   }
 
   /**
-   * Generate a presigned URL (SAS token) for Azure Blob Storage.
-   * Uses Service SAS for blob-level access.
-   * @param {PresignOptions} options - Presign options.
-   * @returns {Promise<string>} Presigned URL with SAS token.
-   * @see https://docs.microsoft.com/en-us/rest/api/storageservices/create-service-sas
+   * Get the URL of a blob.
+   * @param {string} path - Blob path.
+   * @param {string} [bucket] - Override container name.
+   * @returns {{ containerName: string, fullPath: string, baseUrl: string }} Container name, full
+   * blob path and blob URL.
    */
-  async generatePresignedUrl(options) {
-    const { operation, path, contentType, bucket, expiresIn = 900 } = options;
+  #getBlob(path, bucket) {
     const containerName = bucket || this.#container;
     const cleanPath = path.replace(/^\//, ''); // Remove leading slash
     const fullPath = this.#pathPrefix ? `${this.#pathPrefix}/${cleanPath}` : cleanPath;
-    // Determine permissions based on operation
-    let permissions = 'r'; // Default: Read
+    const baseUrl = `https://${this.#accountName}.blob.core.windows.net/${containerName}/${fullPath}`;
 
-    if (operation === 'PUT') {
-      permissions = 'cw'; // Create and Write
-    } else if (operation === 'DELETE') {
-      permissions = 'd'; // Delete
-    }
+    return { containerName, fullPath, baseUrl };
+  }
 
+  /**
+   * Create a Service SAS for a blob, or for the container if no blob path is given.
+   * @param {object} args - Arguments.
+   * @param {string} args.permissions - Signed permissions, e.g. `r`.
+   * @param {string} args.containerName - Container name.
+   * @param {string} [args.fullPath] - Full blob path.
+   * @param {number} args.expiresIn - Expiration time in seconds.
+   * @param {Date} [args.signedAt] - Signing time. The current time if omitted.
+   * @param {ResponseOverrides} [args.responseHeaders] - Headers to return for the blob (`rscc`,
+   * `rscd` and `rsct`).
+   * @returns {Promise<URLSearchParams>} SAS query parameters.
+   * @see https://docs.microsoft.com/en-us/rest/api/storageservices/create-service-sas
+   */
+  async #createSas({
+    permissions,
+    containerName,
+    fullPath,
+    expiresIn,
+    signedAt,
+    responseHeaders = {},
+  }) {
+    const { cacheControl, contentDisposition, contentType } = responseHeaders;
     // Time calculations
-    const now = new Date();
+    const now = signedAt ?? new Date();
     const startTime = new Date(now.getTime() - 5 * 60 * 1000); // 5 minutes ago (clock skew)
     const expiryTime = new Date(now.getTime() + expiresIn * 1000);
     // SAS parameters
     const signedVersion = '2022-11-02'; // API version
-    const signedResource = 'b'; // Blob
+    const signedResource = fullPath === undefined ? 'c' : 'b'; // Container or blob
     const signedStart = this.#formatDate(startTime);
     const signedExpiry = this.#formatDate(expiryTime);
     const signedPermissions = permissions;
     const signedProtocol = 'https';
-    const canonicalizedResource = `/blob/${this.#accountName}/${containerName}/${fullPath}`;
+
+    const canonicalizedResource =
+      fullPath === undefined
+        ? `/blob/${this.#accountName}/${containerName}`
+        : `/blob/${this.#accountName}/${containerName}/${fullPath}`;
 
     // String to sign (order matters!)
     // https://docs.microsoft.com/en-us/rest/api/storageservices/create-service-sas#version-2020-12-06-and-later
@@ -147,8 +204,8 @@ export class AzurePresigner {
       signedResource,
       '', // signedSnapshotTime (empty)
       '', // signedEncryptionScope (empty)
-      '', // rscc (Cache-Control)
-      '', // rscd (Content-Disposition)
+      cacheControl || '', // rscc (Cache-Control)
+      contentDisposition || '', // rscd (Content-Disposition)
       '', // rsce (Content-Encoding)
       '', // rscl (Content-Language)
       contentType || '', // rsct (Content-Type)
@@ -160,8 +217,7 @@ export class AzurePresigner {
     // Build SAS query string
     const sasParams = new URLSearchParams({
       sv: signedVersion,
-      ss: 'b', // Blob service
-      srt: 'o', // Object level
+      sr: signedResource,
       sp: signedPermissions,
       st: signedStart,
       se: signedExpiry,
@@ -169,13 +225,229 @@ export class AzurePresigner {
       sig: signature,
     });
 
+    if (cacheControl) {
+      sasParams.set('rscc', cacheControl);
+    }
+
+    if (contentDisposition) {
+      sasParams.set('rscd', contentDisposition);
+    }
+
     if (contentType) {
       sasParams.set('rsct', contentType);
     }
 
-    // Build final URL
-    const baseUrl = `https://${this.#accountName}.blob.core.windows.net/${containerName}/${fullPath}`;
+    return sasParams;
+  }
+
+  /**
+   * Generate a presigned URL (SAS token) for Azure Blob Storage.
+   * Uses Service SAS for blob-level access.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {Promise<string>} Presigned URL with SAS token.
+   * @see https://docs.microsoft.com/en-us/rest/api/storageservices/create-service-sas
+   */
+  async generatePresignedUrl(options) {
+    const {
+      operation,
+      path,
+      contentType,
+      bucket,
+      responseOverrides,
+      signedAt,
+      expiresIn = 900,
+    } = options;
+
+    const { containerName, fullPath, baseUrl } = this.#getBlob(path, bucket);
+
+    if (operation === 'LIST') {
+      return this.#generateListUrl({ ...options, containerName, prefix: fullPath });
+    }
+
+    // Determine permissions based on operation
+    let permissions = 'r'; // Default: Read (also for HEAD)
+
+    if (operation === 'PUT') {
+      permissions = 'cw'; // Create and Write
+    } else if (operation === 'DELETE') {
+      permissions = 'd'; // Delete
+    }
+
+    const sasParams = await this.#createSas({
+      permissions,
+      containerName,
+      fullPath,
+      expiresIn,
+      signedAt,
+      responseHeaders:
+        operation === 'GET' || operation === 'HEAD'
+          ? { contentType, ...responseOverrides }
+          : { contentType },
+    });
 
+    // Build final URL
     return `${baseUrl}?${sasParams.toString()}`;
   }
+
+  /**
+   * Get the headers the client has to send with the presigned request. A SAS token cannot sign
+   * request headers, so the integrity headers of a `PUT` upload are only checked by Azure if the
+   * client sends them.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {Record<string, string>} Headers.
+   * @throws {Error} If a SHA-256 checksum is requested, which Azure doesn’t support.
+   */
+  getRequiredHeaders(options) {
+    if (options.checksumSha256) {
+      throw new Error('Azure Blob Storage does not support SHA-256 checksums; use contentMd5');
+    }
+
+    return {
+      ...(options.operation === 'PUT' ? { 'x-ms-blob-type': 'BlockBlob' } : {}),
+      ...getIntegrityHeaders(options),
+    };
+  }
+
+  /**
+   * Generate a presigned URL to list blobs with a container SAS.
+   * @param {PresignOptions & { containerName: string, prefix: string }} options - Presign options
+   * with the container name and the full prefix.
+   * @returns {Promise<string>} Presigned URL with SAS token.
+   * @throws {Error} If listing is not enabled.
+   * @see https://learn.microsoft.com/en-us/rest/api/storageservices/list-blobs
+   */
+  async #generateListUrl({
+    containerName,
+    prefix,
+    delimiter,
+    continuationToken,
+    maxKeys,
+    expiresIn = 900,
+  }) {
+    // The SAS doesn’t cover the query, so the client could remove the prefix
+    if (!this.canList) {
+      throw new Error(
+        'LIST is disabled for Azure because a SAS cannot restrict the listing to a prefix. ' +
+          'Set AZURE_ALLOW_CONTAINER_LIST to true to allow listing the whole container.',
+      );
+    }
+
+    const sasParams = await this.#createSas({ permissions: 'l', containerName, expiresIn });
+    const listParams = new URLSearchParams({ restype: 'container', comp: 'list', prefix });
+
+    if (delimiter) {
+      listParams.set('delimiter', delimiter);
+    }
+
+    if (continuationToken) {
+      listParams.set('marker', continuationToken);
+    }
+
+    if (maxKeys) {
+      listParams.set('maxresults', String(maxKeys));
+    }
+
+    return `https://${this.#accountName}.blob.core.windows.net/${containerName}?${listParams.toString()}&${sasParams.toString()}`;
+  }
+
+  /**
+   * Start a multipart upload. Azure has no such step: blocks are staged on the blob directly and
+   * committed with Put Block List, so this only generates an upload ID that namespaces the block
+   * IDs.
+   * @param {MultipartOptions} _options - Multipart options.
+   * @returns {Promise<string>} Upload ID.
+   */
+  // eslint-disable-next-line no-unused-vars
+  async createMultipartUpload(_options) {
+    return crypto.randomUUID();
+  }
+
+  /**
+   * Get the block ID of a part. Block IDs must have the same length within a blob, so the part
+   * number is zero-padded.
+   * @param {string} uploadId - Upload ID.
+   * @param {number} partNumber - Part number.
+   * @returns {string} Base64-encoded block ID.
+   * @throws {Error} If the upload ID is not valid.
+   */
+  #getBlockId(uploadId, partNumber) {
+    if (!this.uploadIdPattern.test(uploadId)) {
+      throw new Error('Invalid upload ID');
+    }
+
+    return btoa(`${uploadId}-${String(partNumber).padStart(5, '0')}`);
+  }
+
+  /**
+   * Generate a presigned Put Block URL to upload a part.
+   * @param {PartUrlOptions} options - Part options.
+   * @returns {Promise<string>} Presigned URL.
+   * @see https://learn.microsoft.com/en-us/rest/api/storageservices/put-block
+   */
+  async generatePartUrl({ path, bucket, uploadId, partNumber, expiresIn = 900 }) {
+    const blockId = this.#getBlockId(uploadId, partNumber);
+    const { containerName, fullPath, baseUrl } = this.#getBlob(path, bucket);
+
+    const sasParams = await this.#createSas({
+      permissions: 'w',
+      containerName,
+      fullPath,
+      expiresIn,
+    });
+
+    return `${baseUrl}?comp=block&blockid=${encodeURIComponent(blockId)}&${sasParams.toString()}`;
+  }
+
+  /**
+   * Complete a multipart upload by committing the uploaded blocks with Put Block List.
+   * @param {CompleteMultipartOptions} options - Completion options.
+   * @returns {Promise<void>}
+   * @throws {Error} If the request failed.
+   * @see https://learn.microsoft.com/en-us/rest/api/storageservices/put-block-list
+   */
+  async completeMultipartUpload({ path, bucket, contentType, uploadId, parts }) {
+    const { containerName, fullPath, baseUrl } = this.#getBlob(path, bucket);
+
+    const blocks = [...parts]
+      .sort((a, b) => a.partNumber - b.partNumber)
+      .map(({ partNumber }) => `<Latest>${this.#getBlockId(uploadId, partNumber)}</Latest>`);
+
+    const sasParams = await this.#createSas({
+      permissions: 'w',
+      containerName,
+      fullPath,
+      expiresIn: 60,
+    });
+
+    /** @type {Record<string, string>} */
+    const headers = { 'Content-Type': 'application/xml' };
+
+    if (contentType) {
+      headers['x-ms-blob-content-type'] = contentType;
+    }
+
+    const response = await fetch(`${baseUrl}?comp=blocklist&${sasParams.toString()}`, {
+      method: 'PUT',
+      headers,
+      body: `<?xml version="1.0" encoding="utf-8"?><BlockList>${blocks.join('')}</BlockList>`,
+    });
+
+    if (!response.ok) {
+      const code = response.headers.get('x-ms-error-code');
+
+      throw new Error(`Failed to complete multipart upload: ${code ?? response.status}`);
+    }
+  }
+
+  /**
+   * Abort a multipart upload. Azure cannot delete uncommitted blocks without deleting the blob
+   * itself, which may already exist, so this is a no-op; the service discards uncommitted blocks
+   * after 7 days.
+   * @param {MultipartOptions} _options - Multipart options.
+   * @returns {Promise<void>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async abortMultipartUpload(_options) {
+    // Nothing to do
+  }
 }
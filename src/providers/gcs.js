@@ -1,7 +1,35 @@
+import {
+  buildCompleteXml,
+  getListParams,
+  getResponseParams,
+  parseUploadId,
+  readResponse,
+} from './multipart.js';
+import { getIntegrityHeaders } from './integrity.js';
+import { getCryptoKey } from './keys.js';
+
 /**
  * @typedef {import('./index.js').PresignOptions} PresignOptions
  * @typedef {import('./index.js').Presigner} Presigner
+ * @typedef {import('./index.js').MultipartOptions} MultipartOptions
+ * @typedef {import('./index.js').PartUrlOptions} PartUrlOptions
+ * @typedef {import('./index.js').CompleteMultipartOptions} CompleteMultipartOptions
+ * @typedef {import('./index.js').PresignPostOptions} PresignPostOptions
+ * @typedef {import('./index.js').PresignedPost} PresignedPost
+ */
+
+/**
+ * Percent-encode a string as specified by RFC 3986, which Cloud Storage uses to check V4
+ * signatures. Unlike `encodeURIComponent`, `!'()*` are encoded too, and unlike `URLSearchParams`,
+ * `~` is not.
+ * @param {string} value - String to encode.
+ * @returns {string} Encoded string.
  */
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
 
 /**
  * Google Cloud Storage presigner.
@@ -12,6 +40,25 @@
  * @implements {Presigner}
  */
 export class GCSPresigner {
+  /**
+   * Longest expiry in seconds of a V4 signed URL (7 days).
+   * @type {number}
+   */
+  maxExpiresIn = 7 * 24 * 60 * 60;
+
+  /**
+   * Whether `LIST` URLs can be generated. The prefix is part of the signed query.
+   * @type {boolean}
+   */
+  canList = true;
+
+  /**
+   * Whether the `Content-Type` and `Content-Length` headers of a `PUT` upload are signed, so the
+   * upload limits of a target or policy rule can be enforced.
+   * @type {boolean}
+   */
+  signsUploadHeaders = true;
+
   /**
    * GCS project ID.
    * @type {string}
@@ -113,7 +160,10 @@ export class GCSPresigner {
    * @returns {Promise<string>} Base64-encoded signature.
    */
   async #sign(stringToSign) {
-    const key = await this.#importPrivateKey();
+    const key = await getCryptoKey(`RSASSA-PKCS1-v1_5:${this.#privateKey}`, () =>
+      this.#importPrivateKey(),
+    );
+
     const encoder = new TextEncoder();
     const data = encoder.encode(stringToSign);
     const signature = await crypto.subtle.sign('RSASSA-PKCS1-v1_5', key, data);
@@ -123,28 +173,49 @@ export class GCSPresigner {
   }
 
   /**
-   * Generate a presigned URL for Google Cloud Storage.
-   * Uses V4 signing algorithm.
-   * @param {PresignOptions} options - Presign options.
-   * @returns {Promise<string>} Presigned URL.
-   * @see https://cloud.google.com/storage/docs/access-control/signed-urls
+   * Get the bucket name and the full path of an object.
+   * @param {string} path - Object path.
+   * @param {string} [bucket] - Override bucket name.
+   * @returns {{ bucketName: string, fullPath: string }} Bucket name and full path including the
+   * path prefix.
    */
-  async generatePresignedUrl(options) {
-    const { operation, path, bucket, expiresIn = 900 } = options;
+  #getLocation(path, bucket) {
     const bucketName = bucket || this.#bucket;
     const cleanPath = path.replace(/^\//, ''); // Remove leading slash
     const fullPath = this.#pathPrefix ? `${this.#pathPrefix}/${cleanPath}` : cleanPath;
-    // Determine HTTP method based on operation
-    let method = 'GET';
 
-    if (operation === 'PUT') {
-      method = 'PUT';
-    } else if (operation === 'DELETE') {
-      method = 'DELETE';
-    }
+    return { bucketName, fullPath };
+  }
 
-    // Current time in ISO format
-    const now = new Date();
+  /**
+   * Get the canonical URI of an object.
+   * @param {string} path - Object path.
+   * @param {string} [bucket] - Override bucket name.
+   * @returns {string} Canonical URI, e.g. `/bucket/prefix/path`.
+   */
+  #getCanonicalUri(path, bucket) {
+    const { bucketName, fullPath } = this.#getLocation(path, bucket);
+
+    return `/${bucketName}/${fullPath}`;
+  }
+
+  /**
+   * Create a V4 signed URL.
+   * @param {object} args - Arguments.
+   * @param {string} args.method - HTTP method.
+   * @param {string} args.canonicalUri - Canonical URI of the object.
+   * @param {number} args.expiresIn - Expiration time in seconds.
+   * @param {Record<string, string>} [args.query] - Additional query parameters to sign, such as
+   * the upload ID.
+   * @param {Record<string, string>} [args.headers] - Additional headers the request must be sent
+   * with, such as `content-type`. Names must be lowercase.
+   * @param {Date} [args.signedAt] - Signing time. The current time if omitted.
+   * @returns {Promise<string>} Signed URL.
+   * @see https://cloud.google.com/storage/docs/authentication/signatures
+   */
+  async #signUrl({ method, canonicalUri, expiresIn, query = {}, headers = {}, signedAt }) {
+    // Signing time in ISO format
+    const now = signedAt ?? new Date();
 
     const timestamp = now
       .toISOString()
@@ -152,24 +223,33 @@ export class GCSPresigner {
       .replace(/\.\d{3}/, '');
 
     const datestamp = timestamp.slice(0, 8);
-    const canonicalUri = `/${bucketName}/${fullPath}`;
     const credentialScope = `${datestamp}/auto/storage/goog4_request`;
     const credential = `${this.#clientEmail}/${credentialScope}`;
-    const signedHeaders = 'host';
+    // Host
+    const host = 'storage.googleapis.com';
+    /** @type {[string, string][]} */
+    const headerEntries = [...Object.entries(headers), ['host', host]];
 
-    // Query parameters
-    const queryParams = new URLSearchParams({
+    headerEntries.sort(([a], [b]) => (a < b ? -1 : 1));
+
+    const signedHeaders = headerEntries.map(([name]) => name).join(';');
+
+    // Query parameters, encoded and sorted by name as required for the canonical request. The URL
+    // uses the same query string, so it matches the signature.
+    const canonicalQueryString = Object.entries({
       'X-Goog-Algorithm': 'GOOG4-RSA-SHA256',
       'X-Goog-Credential': credential,
       'X-Goog-Date': timestamp,
       'X-Goog-Expires': String(expiresIn),
       'X-Goog-SignedHeaders': signedHeaders,
-    });
+      ...query,
+    })
+      .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
 
-    // Host
-    const host = 'storage.googleapis.com';
-    const canonicalQueryString = queryParams.toString().replace(/\+/g, '%20');
-    const canonicalHeaders = `host:${host}\n`;
+    const canonicalHeaders = headerEntries.map(([name, value]) => `${name}:${value}\n`).join('');
 
     const canonicalRequest = [
       method,
@@ -210,4 +290,220 @@ export class GCSPresigner {
     // Build final URL
     return `https://${host}${canonicalUri}?${canonicalQueryString}&X-Goog-Signature=${signatureHex}`;
   }
+
+  /**
+   * Generate a presigned URL for Google Cloud Storage.
+   * Uses V4 signing algorithm.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {Promise<string>} Presigned URL.
+   * @see https://cloud.google.com/storage/docs/access-control/signed-urls
+   */
+  async generatePresignedUrl(options) {
+    const { operation, path, bucket, responseOverrides, signedAt, expiresIn = 900 } = options;
+
+    if (operation === 'LIST') {
+      // List the bucket with the path prefix included in the signed query
+      const { bucketName, fullPath: prefix } = this.#getLocation(path, bucket);
+
+      return this.#signUrl({
+        method: 'GET',
+        canonicalUri: `/${bucketName}`,
+        expiresIn,
+        query: getListParams({ ...options, prefix }),
+      });
+    }
+
+    // Determine HTTP method based on operation
+    let method = 'GET';
+
+    if (operation === 'PUT') {
+      method = 'PUT';
+    } else if (operation === 'DELETE') {
+      method = 'DELETE';
+    } else if (operation === 'HEAD') {
+      method = 'HEAD';
+    }
+
+    // The content type and integrity headers are signed, so the upload is rejected if they don’t
+    // match
+    const headers = Object.fromEntries(
+      Object.entries(this.getRequiredHeaders(options)).map(([name, value]) => [
+        name.toLowerCase(),
+        value,
+      ]),
+    );
+
+    // Override the response headers of a download
+    /** @type {Record<string, string>} */
+    let query = {};
+
+    if (operation === 'GET' || operation === 'HEAD') {
+      query = getResponseParams(responseOverrides);
+    }
+
+    return this.#signUrl({
+      method,
+      canonicalUri: this.#getCanonicalUri(path, bucket),
+      expiresIn,
+      query,
+      headers,
+      signedAt,
+    });
+  }
+
+  /**
+   * Get the headers the client has to send with the presigned request: the content type and the
+   * integrity headers of a `PUT` upload.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {Record<string, string>} Headers.
+   * @throws {Error} If a SHA-256 checksum or a `Cache-Control` override is requested, which Cloud
+   * Storage doesn’t support.
+   */
+  getRequiredHeaders(options) {
+    if (options.checksumSha256) {
+      throw new Error('Google Cloud Storage does not support SHA-256 checksums; use contentMd5');
+    }
+
+    if (options.responseOverrides?.cacheControl) {
+      throw new Error('Google Cloud Storage does not support overriding Cache-Control');
+    }
+
+    const { operation, contentType } = options;
+
+    return {
+      ...(contentType && operation === 'PUT' ? { 'Content-Type': contentType } : {}),
+      ...getIntegrityHeaders(options),
+    };
+  }
+
+  /**
+   * Generate a V4 POST policy for a browser form upload. The policy pins the object name and limits
+   * the size and content type of the upload.
+   * @param {PresignPostOptions} options - POST options.
+   * @returns {Promise<PresignedPost>} Form action URL and fields.
+   * @see https://cloud.google.com/storage/docs/xml-api/post-object-forms
+   */
+  async generatePresignedPost(options) {
+    const { path, bucket, maxSize, contentType, contentTypePrefix = '', expiresIn = 900 } = options;
+    const { bucketName, fullPath } = this.#getLocation(path, bucket);
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const credential = `${this.#clientEmail}/${timestamp.slice(0, 8)}/auto/storage/goog4_request`;
+
+    /** @type {Record<string, string>} */
+    const fields = {
+      key: fullPath,
+      'x-goog-algorithm': 'GOOG4-RSA-SHA256',
+      'x-goog-credential': credential,
+      'x-goog-date': timestamp,
+    };
+
+    if (contentType) {
+      fields['Content-Type'] = contentType;
+    }
+
+    const policy = {
+      expiration: new Date(now.getTime() + expiresIn * 1000).toISOString(),
+      conditions: [
+        { bucket: bucketName },
+        ...Object.entries(fields).map(([name, value]) => ({ [name]: value })),
+        ['content-length-range', 0, maxSize],
+        ...(contentType ? [] : [['starts-with', '$Content-Type', contentTypePrefix]]),
+      ],
+    };
+
+    const encodedPolicy = btoa(
+      String.fromCharCode(...new TextEncoder().encode(JSON.stringify(policy))),
+    );
+
+    const signature = await this.#sign(encodedPolicy);
+
+    const signatureHex = Array.from(atob(signature), (c) =>
+      c.charCodeAt(0).toString(16).padStart(2, '0'),
+    ).join('');
+
+    return {
+      url: `https://storage.googleapis.com/${bucketName}`,
+      fields: { ...fields, policy: encodedPolicy, 'x-goog-signature': signatureHex },
+    };
+  }
+
+  /**
+   * Start a multipart upload with the XML API.
+   * @param {MultipartOptions} options - Multipart options.
+   * @returns {Promise<string>} Upload ID.
+   * @see https://cloud.google.com/storage/docs/xml-api/post-object-multipart
+   */
+  async createMultipartUpload({ path, bucket, contentType }) {
+    /** @type {Record<string, string>} */
+    const headers = contentType ? { 'content-type': contentType } : {};
+
+    const url = await this.#signUrl({
+      method: 'POST',
+      canonicalUri: this.#getCanonicalUri(path, bucket),
+      expiresIn: 60,
+      query: { uploads: '' },
+      headers,
+    });
+
+    const response = await fetch(url, { method: 'POST', headers });
+
+    return parseUploadId(await readResponse(response, 'create multipart upload'));
+  }
+
+  /**
+   * Generate a presigned URL to upload a part with the XML API.
+   * @param {PartUrlOptions} options - Part options.
+   * @returns {Promise<string>} Presigned URL.
+   * @see https://cloud.google.com/storage/docs/xml-api/put-object-multipart
+   */
+  async generatePartUrl({ path, bucket, uploadId, partNumber, expiresIn = 900 }) {
+    return this.#signUrl({
+      method: 'PUT',
+      canonicalUri: this.#getCanonicalUri(path, bucket),
+      expiresIn,
+      query: { partNumber: String(partNumber), uploadId },
+    });
+  }
+
+  /**
+   * Complete a multipart upload with the XML API.
+   * @param {CompleteMultipartOptions} options - Completion options.
+   * @returns {Promise<void>}
+   * @see https://cloud.google.com/storage/docs/xml-api/post-object-complete
+   */
+  async completeMultipartUpload({ path, bucket, uploadId, parts }) {
+    const headers = { 'content-type': 'application/xml' };
+
+    const url = await this.#signUrl({
+      method: 'POST',
+      canonicalUri: this.#getCanonicalUri(path, bucket),
+      expiresIn: 60,
+      query: { uploadId },
+      headers,
+    });
+
+    const response = await fetch(url, { method: 'POST', headers, body: buildCompleteXml(parts) });
+
+    await readResponse(response, 'complete multipart upload');
+  }
+
+  /**
+   * Abort a multipart upload with the XML API.
+   * @param {MultipartOptions} options - Multipart options.
+   * @returns {Promise<void>}
+   * @see https://cloud.google.com/storage/docs/xml-api/delete-multipart
+   */
+  async abortMultipartUpload({ path, bucket, uploadId = '' }) {
+    const url = await this.#signUrl({
+      method: 'DELETE',
+      canonicalUri: this.#getCanonicalUri(path, bucket),
+      expiresIn: 60,
+      query: { uploadId },
+    });
+
+    const response = await fetch(url, { method: 'DELETE' });
+
+    await readResponse(response, 'abort multipart upload');
+  }
 }
@@ -3,19 +3,120 @@ import { R2Presigner } from './r2.js';
 import { GCSPresigner } from './gcs.js';
 import { AzurePresigner } from './azure.js';
 
+/**
+ * @typedef {'GET' | 'HEAD' | 'LIST' | 'PUT' | 'DELETE'} Operation
+ */
+
+/**
+ * @typedef {object} ResponseOverrides
+ * @property {string} [contentDisposition] - `Content-Disposition` header, such as
+ * `attachment; filename="report.pdf"` to force a download.
+ * @property {string} [contentType] - `Content-Type` header.
+ * @property {string} [cacheControl] - `Cache-Control` header. Not supported by GCS.
+ */
+
 /**
  * @typedef {object} PresignOptions
- * @property {'GET' | 'PUT' | 'DELETE'} operation - Operation type.
- * @property {string} path - Object path within the bucket.
+ * @property {Operation} operation - Operation type. `LIST` lists the objects under `path`.
+ * @property {string} path - Object path within the bucket, or the prefix to list for `LIST`.
  * @property {string} [contentType] - Content type for PUT operations.
  * @property {string} [bucket] - Override bucket name.
  * @property {number} [expiresIn] - Expiration time in seconds (default: 900).
+ * @property {string} [delimiter] - Delimiter to group keys by for `LIST`, usually `/`.
+ * @property {string} [continuationToken] - Token from the previous `LIST` page.
+ * @property {number} [maxKeys] - Maximum number of keys per `LIST` page.
+ * @property {Date} [signedAt] - Signing time. The current time if omitted. `expiresIn` counts
+ * from it.
+ * @property {ResponseOverrides} [responseOverrides] - Response headers to override for `GET` and
+ * `HEAD`.
+ * @property {number} [contentLength] - Expected size in bytes of a `PUT` upload.
+ * @property {string} [contentMd5] - Expected base64-encoded MD5 digest of a `PUT` upload.
+ * @property {string} [checksumSha256] - Expected base64-encoded SHA-256 digest of a `PUT` upload.
+ * Not supported by GCS and Azure.
+ */
+
+/**
+ * @typedef {object} PresignPostOptions
+ * @property {string} path - Object path within the bucket.
+ * @property {string} [bucket] - Override bucket name.
+ * @property {number} maxSize - Maximum object size in bytes.
+ * @property {string} [contentType] - Exact content type. Added to the form fields.
+ * @property {string} [contentTypePrefix] - Prefix the `Content-Type` form field must start with
+ * when `contentType` is not given, e.g. `image/`. Any content type is accepted if empty.
+ * @property {number} [expiresIn] - Expiration time in seconds (default: 900).
+ */
+
+/**
+ * @typedef {object} PresignedPost
+ * @property {string} url - Form action URL.
+ * @property {Record<string, string>} fields - Form fields to send before the file.
+ */
+
+/**
+ * @typedef {object} MultipartOptions
+ * @property {string} path - Object path within the bucket.
+ * @property {string} [bucket] - Override bucket name.
+ * @property {string} [contentType] - Content type of the object.
+ * @property {string} [uploadId] - Upload ID returned when the upload was created. Required except
+ * when creating the upload.
+ */
+
+/**
+ * @typedef {object} MultipartPart
+ * @property {number} partNumber - Part number, starting from 1.
+ * @property {string} [etag] - `ETag` header of the part upload response. Not required for Azure.
+ */
+
+/**
+ * @typedef {object} PartUrlOptions
+ * @property {string} path - Object path within the bucket.
+ * @property {string} [bucket] - Override bucket name.
+ * @property {string} uploadId - Upload ID returned when the upload was created.
+ * @property {number} partNumber - Part number, starting from 1.
+ * @property {number} [expiresIn] - Expiration time in seconds (default: 900).
+ */
+
+/**
+ * @typedef {object} CompleteMultipartOptions
+ * @property {string} path - Object path within the bucket.
+ * @property {string} [bucket] - Override bucket name.
+ * @property {string} [contentType] - Content type of the object. Only used by Azure, which sets
+ * it when the blocks are committed.
+ * @property {string} uploadId - Upload ID returned when the upload was created.
+ * @property {MultipartPart[]} parts - Uploaded parts.
  */
 
 /**
  * @typedef {object} Presigner
+ * @property {number} maxExpiresIn - Longest expiry in seconds the provider accepts.
+ * @property {boolean} canList - Whether `LIST` URLs can be generated. Disabled by default on
+ * Azure, which cannot restrict a listing to a prefix.
+ * @property {boolean} signsUploadHeaders - Whether the `Content-Type` and `Content-Length`
+ * headers of a `PUT` upload are signed, so the storage service rejects an upload that doesn’t
+ * match them.
+ * @property {RegExp} [uploadIdPattern] - Pattern of valid multipart upload IDs, if the provider
+ * generates them itself rather than the storage service.
  * @property {(options: PresignOptions) => Promise<string>} generatePresignedUrl - Generate URL.
+ * @property {(options: PresignOptions) => Record<string, string>} getRequiredHeaders - Get the
+ * headers the client has to send with the presigned request. Throws if the provider doesn’t
+ * support the options.
+ * @property {(options: MultipartOptions) => Promise<string>} createMultipartUpload - Start a
+ * multipart upload and return the upload ID.
+ * @property {(options: PartUrlOptions) => Promise<string>} generatePartUrl - Generate a presigned
+ * URL to upload a part with `PUT`.
+ * @property {(options: CompleteMultipartOptions) => Promise<void>} completeMultipartUpload - Join
+ * the uploaded parts into the object.
+ * @property {(options: MultipartOptions) => Promise<void>} abortMultipartUpload - Abort the
+ * upload and discard the uploaded parts.
+ * @property {(options: PresignPostOptions) => Promise<PresignedPost>} [generatePresignedPost] - Get
+ * a POST policy for a browser form upload. Only available if the provider supports it.
+ */
+
+/**
+ * Supported presign operations.
+ * @type {Operation[]}
  */
+export const SUPPORTED_OPERATIONS = ['GET', 'HEAD', 'LIST', 'PUT', 'DELETE'];
 
 /**
  * Auto-detect storage provider from environment variables.
@@ -54,17 +155,33 @@ function detectProvider(env) {
 export const SUPPORTED_PROVIDERS = ['s3', 'r2', 'gcs', 'azure', 'minio'];
 
 /**
- * Get the appropriate presigner for the specified storage provider.
- * @param {string | undefined} provider - Provider name. If not specified, auto-detect from env.
+ * Prefix of the environment variables read by each provider.
+ * @type {Record<string, string>}
+ */
+const ENV_PREFIXES = {
+  s3: 'S3_',
+  minio: 'S3_',
+  r2: 'R2_',
+  gcs: 'GCS_',
+  azure: 'AZURE_',
+};
+
+/**
+ * Presigner instances cached for the lifetime of the isolate, keyed by provider and
+ * configuration, so they are not rebuilt on every request.
+ * @type {Map<string, Presigner>}
+ */
+const presignerCache = new Map();
+
+/**
+ * Create a new presigner for the specified storage provider.
+ * @param {string} provider - Provider name.
  * @param {{ [key: string]: string }} env - Environment variables.
  * @returns {Presigner} Presigner instance.
  * @throws {Error} If required environment variables are missing.
  */
-export function getPresigner(provider, env) {
-  // Auto-detect provider from environment if not specified
-  const detectedProvider = provider || detectProvider(env);
-
-  switch (detectedProvider) {
+function createPresigner(provider, env) {
+  switch (provider) {
     case 'r2':
       return new R2Presigner(env);
 
@@ -82,6 +199,83 @@ export function getPresigner(provider, env) {
   }
 }
 
+/**
+ * Get the appropriate presigner for the specified storage provider.
+ * @param {string | undefined} provider - Provider name. If not specified, auto-detect from env.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Presigner} Presigner instance.
+ * @throws {Error} If required environment variables are missing.
+ */
+export function getPresigner(provider, env) {
+  // Auto-detect provider from environment if not specified
+  const detectedProvider = provider || detectProvider(env);
+  const prefix = ENV_PREFIXES[detectedProvider] ?? ENV_PREFIXES.s3;
+
+  // The provider only reads its own variables, so they identify the configuration
+  const cacheKey = JSON.stringify([
+    detectedProvider,
+    Object.entries(env)
+      .filter(([key, value]) => key.startsWith(prefix) && typeof value === 'string')
+      .sort(([a], [b]) => (a < b ? -1 : 1)),
+  ]);
+
+  let presigner = presignerCache.get(cacheKey);
+
+  if (!presigner) {
+    presigner = createPresigner(detectedProvider, env);
+    presignerCache.set(cacheKey, presigner);
+  }
+
+  return presigner;
+}
+
+/**
+ * Get the environment variable prefix of a named storage configuration.
+ * @param {string} name - Configuration name, e.g. `datasets`.
+ * @returns {string} Prefix, e.g. `STORAGE_DATASETS_`.
+ */
+const getStoragePrefix = (name) => `STORAGE_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+
+/**
+ * Check if a named storage configuration is defined.
+ * @param {string} name - Configuration name, e.g. `datasets`.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {boolean} Result.
+ */
+export const hasStorageConfig = (name, env) => !!env[`${getStoragePrefix(name)}PROVIDER`];
+
+/**
+ * Get the presigner for a named storage configuration. A configuration consists of
+ * `STORAGE_<NAME>_PROVIDER` and the variables of that provider with the provider prefix replaced,
+ * e.g. `STORAGE_DATASETS_ACCESS_KEY_ID` instead of `S3_ACCESS_KEY_ID`, so several buckets and
+ * credentials, even of the same provider, can be configured at the same time.
+ * @param {string} name - Configuration name, e.g. `datasets`.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Presigner} Presigner instance.
+ * @throws {Error} If the configuration is not defined or required variables are missing.
+ */
+export function getStoragePresigner(name, env) {
+  const prefix = getStoragePrefix(name);
+  const provider = env[`${prefix}PROVIDER`];
+
+  if (!provider) {
+    throw new Error(`${prefix}PROVIDER is required`);
+  }
+
+  if (!SUPPORTED_PROVIDERS.includes(provider)) {
+    throw new Error(`${prefix}PROVIDER is not supported: ${provider}`);
+  }
+
+  /** @type {{ [key: string]: string }} */
+  const scopedEnv = Object.fromEntries(
+    Object.entries(env)
+      .filter(([key]) => key.startsWith(prefix) && key !== `${prefix}PROVIDER`)
+      .map(([key, value]) => [`${ENV_PREFIXES[provider]}${key.slice(prefix.length)}`, value]),
+  );
+
+  return getPresigner(provider, scopedEnv);
+}
+
 /**
  * Validate that required environment variables are set for a provider.
  * @param {string} provider - Provider name.
@@ -0,0 +1,34 @@
+/**
+ * @typedef {import('./index.js').PresignOptions} PresignOptions
+ */
+
+/**
+ * Get the integrity headers of an upload: the expected content length and checksums. Providers
+ * that can sign headers include them in the signature, so the storage service rejects an upload
+ * that doesn’t match.
+ * @param {PresignOptions} options - Presign options.
+ * @returns {Record<string, string>} Headers. Empty if no integrity check was requested or the
+ * operation is not `PUT`.
+ */
+export function getIntegrityHeaders({ operation, contentLength, contentMd5, checksumSha256 }) {
+  /** @type {Record<string, string>} */
+  const headers = {};
+
+  if (operation !== 'PUT') {
+    return headers;
+  }
+
+  if (contentLength !== undefined) {
+    headers['Content-Length'] = String(contentLength);
+  }
+
+  if (contentMd5) {
+    headers['Content-MD5'] = contentMd5;
+  }
+
+  if (checksumSha256) {
+    headers['x-amz-checksum-sha256'] = checksumSha256;
+  }
+
+  return headers;
+}
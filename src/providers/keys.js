@@ -0,0 +1,119 @@
+import { AwsClient } from 'aws4fetch';
+
+/**
+ * Signing keys and clients cached for the lifetime of the isolate, and shared by all providers.
+ * Entries are keyed by the credentials they are derived from, so storage configurations of
+ * different buckets with the same credentials share them, and a rotated secret never hits a stale
+ * entry.
+ */
+
+/**
+ * Derived SigV4 signing keys. The map is also passed to aws4fetch, which uses the same keys, so
+ * URLs and POST policies share the derivation.
+ * @type {Map<string, ArrayBuffer>}
+ */
+const signingKeyCache = new Map();
+
+/**
+ * Compute an HMAC-SHA256 signature.
+ * @param {ArrayBuffer | Uint8Array} key - Key.
+ * @param {string} data - Data to sign.
+ * @returns {Promise<ArrayBuffer>} Signature.
+ */
+export const hmac = async (key, data) => {
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    key,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign'],
+  );
+
+  return crypto.subtle.sign('HMAC', cryptoKey, new TextEncoder().encode(data));
+};
+
+/**
+ * AWS clients, keyed by credentials, region and service.
+ * @type {Map<string, AwsClient>}
+ */
+const awsClientCache = new Map();
+
+/**
+ * Get an AWS client for the given credentials, reusing the client of an earlier presigner.
+ * @param {object} options - Client options.
+ * @param {string} options.accessKeyId - Access key ID.
+ * @param {string} options.secretAccessKey - Secret access key.
+ * @param {string} options.region - Region.
+ * @param {string} options.service - Service, such as `s3`.
+ * @returns {AwsClient} Client.
+ */
+export function getAwsClient({ accessKeyId, secretAccessKey, region, service }) {
+  const cacheKey = JSON.stringify([accessKeyId, secretAccessKey, region, service]);
+  let client = awsClientCache.get(cacheKey);
+
+  if (!client) {
+    client = new AwsClient({
+      accessKeyId,
+      secretAccessKey,
+      region,
+      service,
+      cache: signingKeyCache,
+    });
+
+    awsClientCache.set(cacheKey, client);
+  }
+
+  return client;
+}
+
+/**
+ * Get the SigV4 signing key of a day.
+ * @param {object} args - Arguments.
+ * @param {string} args.secretAccessKey - Secret access key.
+ * @param {string} args.datestamp - Date in `YYYYMMDD` format.
+ * @param {string} args.region - Region.
+ * @param {string} args.service - Service, such as `s3`.
+ * @returns {Promise<ArrayBuffer>} Signing key.
+ * @see https://docs.aws.amazon.com/IAM/latest/UserGuide/reference_sigv-create-signed-request.html
+ */
+export async function getSigningKey({ secretAccessKey, datestamp, region, service }) {
+  // Same format as aws4fetch
+  const cacheKey = [secretAccessKey, datestamp, region, service].join();
+  let signingKey = signingKeyCache.get(cacheKey);
+
+  if (!signingKey) {
+    const dateKey = await hmac(new TextEncoder().encode(`AWS4${secretAccessKey}`), datestamp);
+    const regionKey = await hmac(dateKey, region);
+    const serviceKey = await hmac(regionKey, service);
+
+    signingKey = await hmac(serviceKey, 'aws4_request');
+    signingKeyCache.set(cacheKey, signingKey);
+  }
+
+  return signingKey;
+}
+
+/**
+ * Imported keys, keyed by algorithm and key material.
+ * @type {Map<string, Promise<CryptoKey>>}
+ */
+const cryptoKeyCache = new Map();
+
+/**
+ * Get an imported key, importing it on first use. A failed import is not cached, so it’s retried
+ * on the next request.
+ * @param {string} fingerprint - Algorithm and key material identifying the key.
+ * @param {() => Promise<CryptoKey>} importKey - Function importing the key.
+ * @returns {Promise<CryptoKey>} Imported key.
+ */
+export function getCryptoKey(fingerprint, importKey) {
+  let cryptoKey = cryptoKeyCache.get(fingerprint);
+
+  if (!cryptoKey) {
+    cryptoKey = importKey();
+    cryptoKeyCache.set(fingerprint, cryptoKey);
+    cryptoKey.catch(() => cryptoKeyCache.delete(fingerprint));
+  }
+
+  return cryptoKey;
+}
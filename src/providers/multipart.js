@@ -0,0 +1,223 @@
+/**
+ * Helpers for the S3-compatible multipart upload, list and download APIs, which are implemented by
+ * AWS S3, Cloudflare R2 and the Google Cloud Storage XML API.
+ * @see https://docs.aws.amazon.com/AmazonS3/latest/userguide/mpuoverview.html
+ */
+
+/**
+ * @typedef {import('aws4fetch').AwsClient} AwsClient
+ * @typedef {import('./index.js').MultipartPart} MultipartPart
+ * @typedef {import('./index.js').ResponseOverrides} ResponseOverrides
+ */
+
+/**
+ * Maximum number of parts in a multipart upload.
+ */
+export const MAX_PART_NUMBER = 10000;
+
+/**
+ * Escape the given string for use in XML text content.
+ * @param {string} str - Original string.
+ * @returns {string} Escaped string.
+ */
+const escapeXml = (str) =>
+  str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Get the upload ID from a `CreateMultipartUpload` response body.
+ * @param {string} xml - Response body.
+ * @returns {string} Upload ID.
+ * @throws {Error} If the response doesn’t contain an upload ID.
+ */
+export function parseUploadId(xml) {
+  const uploadId = xml.match(/<UploadId>([^<]+)<\/UploadId>/)?.[1];
+
+  if (!uploadId) {
+    throw new Error('Storage response does not contain an upload ID');
+  }
+
+  return uploadId;
+}
+
+/**
+ * Build the `CompleteMultipartUpload` request body. Parts are sorted by part number as required by
+ * the API.
+ * @param {MultipartPart[]} parts - Uploaded parts.
+ * @returns {string} XML request body.
+ * @throws {Error} If a part is missing its ETag.
+ */
+export function buildCompleteXml(parts) {
+  const items = [...parts]
+    .sort((a, b) => a.partNumber - b.partNumber)
+    .map(({ partNumber, etag }) => {
+      if (!etag) {
+        throw new Error(`Part ${partNumber} is missing its ETag`);
+      }
+
+      return `<Part><PartNumber>${partNumber}</PartNumber><ETag>${escapeXml(etag)}</ETag></Part>`;
+    });
+
+  return `<CompleteMultipartUpload>${items.join('')}</CompleteMultipartUpload>`;
+}
+
+/**
+ * Throw an error if a storage API request failed. `CompleteMultipartUpload` can fail with a `200`
+ * status, so the body is checked as well.
+ * @param {Response} response - Storage API response.
+ * @param {string} action - Action name used in the error message.
+ * @returns {Promise<string>} Response body.
+ * @throws {Error} If the request failed.
+ */
+export async function readResponse(response, action) {
+  const body = await response.text();
+
+  if (!response.ok || /<Error>/.test(body)) {
+    const code = body.match(/<Code>([^<]+)<\/Code>/)?.[1];
+
+    throw new Error(`Failed to ${action}: ${code ?? response.status}`);
+  }
+
+  return body;
+}
+
+/**
+ * Get the `ListObjectsV2` query parameters. Also used for the GCS XML API, which accepts the same
+ * parameters.
+ * @param {object} params - List parameters.
+ * @param {string} params.prefix - Full key prefix.
+ * @param {string} [params.delimiter] - Delimiter.
+ * @param {string} [params.continuationToken] - Continuation token.
+ * @param {number} [params.maxKeys] - Maximum number of keys.
+ * @returns {Record<string, string>} Query parameters.
+ * @see https://docs.aws.amazon.com/AmazonS3/latest/API/API_ListObjectsV2.html
+ */
+export function getListParams({ prefix, delimiter, continuationToken, maxKeys }) {
+  /** @type {Record<string, string>} */
+  const params = { 'list-type': '2', prefix };
+
+  if (delimiter) {
+    params.delimiter = delimiter;
+  }
+
+  if (continuationToken) {
+    params['continuation-token'] = continuationToken;
+  }
+
+  if (maxKeys) {
+    params['max-keys'] = String(maxKeys);
+  }
+
+  return params;
+}
+
+/**
+ * Get the `GetObject` query parameters that override the response headers. They are part of the
+ * signed query, so the client cannot change them.
+ * @param {ResponseOverrides} [overrides] - Response header overrides.
+ * @returns {Record<string, string>} Query parameters.
+ * @see https://docs.aws.amazon.com/AmazonS3/latest/API/API_GetObject.html
+ */
+export function getResponseParams({ contentDisposition, contentType, cacheControl } = {}) {
+  /** @type {Record<string, string>} */
+  const params = {};
+
+  if (contentDisposition) {
+    params['response-content-disposition'] = contentDisposition;
+  }
+
+  if (contentType) {
+    params['response-content-type'] = contentType;
+  }
+
+  if (cacheControl) {
+    params['response-cache-control'] = cacheControl;
+  }
+
+  return params;
+}
+
+/**
+ * Start a multipart upload on S3-compatible storage.
+ * @param {AwsClient} client - AWS client for signing requests.
+ * @param {URL} url - Object URL.
+ * @param {string} [contentType] - Content type of the object.
+ * @returns {Promise<string>} Upload ID.
+ * @throws {Error} If the request failed.
+ */
+export async function createS3MultipartUpload(client, url, contentType) {
+  const endpoint = new URL(url);
+
+  endpoint.search = 'uploads';
+
+  const response = await client.fetch(endpoint.toString(), {
+    method: 'POST',
+    headers: contentType ? { 'Content-Type': contentType } : {},
+  });
+
+  return parseUploadId(await readResponse(response, 'create multipart upload'));
+}
+
+/**
+ * Generate a presigned `UploadPart` URL for S3-compatible storage. The client has to read the
+ * `ETag` header of the response to complete the upload.
+ * @param {AwsClient} client - AWS client for signing requests.
+ * @param {URL} url - Object URL.
+ * @param {string} uploadId - Upload ID.
+ * @param {number} partNumber - Part number.
+ * @param {number} expiresIn - Expiration time in seconds.
+ * @returns {Promise<string>} Presigned URL.
+ */
+export async function signS3UploadPart(client, url, uploadId, partNumber, expiresIn) {
+  const endpoint = new URL(url);
+
+  endpoint.searchParams.set('partNumber', String(partNumber));
+  endpoint.searchParams.set('uploadId', uploadId);
+  endpoint.searchParams.set('X-Amz-Expires', String(expiresIn));
+
+  const signedRequest = await client.sign(new Request(endpoint.toString(), { method: 'PUT' }), {
+    aws: { signQuery: true },
+  });
+
+  return signedRequest.url;
+}
+
+/**
+ * Complete a multipart upload on S3-compatible storage.
+ * @param {AwsClient} client - AWS client for signing requests.
+ * @param {URL} url - Object URL.
+ * @param {string} uploadId - Upload ID.
+ * @param {MultipartPart[]} parts - Uploaded parts.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request failed.
+ */
+export async function completeS3MultipartUpload(client, url, uploadId, parts) {
+  const endpoint = new URL(url);
+
+  endpoint.searchParams.set('uploadId', uploadId);
+
+  const response = await client.fetch(endpoint.toString(), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/xml' },
+    body: buildCompleteXml(parts),
+  });
+
+  await readResponse(response, 'complete multipart upload');
+}
+
+/**
+ * Abort a multipart upload on S3-compatible storage, discarding the uploaded parts.
+ * @param {AwsClient} client - AWS client for signing requests.
+ * @param {URL} url - Object URL.
+ * @param {string} uploadId - Upload ID.
+ * @returns {Promise<void>}
+ * @throws {Error} If the request failed.
+ */
+export async function abortS3MultipartUpload(client, url, uploadId) {
+  const endpoint = new URL(url);
+
+  endpoint.searchParams.set('uploadId', uploadId);
+
+  const response = await client.fetch(endpoint.toString(), { method: 'DELETE' });
+
+  await readResponse(response, 'abort multipart upload');
+}
@@ -1,8 +1,21 @@
-import { AwsClient } from 'aws4fetch';
+import {
+  abortS3MultipartUpload,
+  completeS3MultipartUpload,
+  createS3MultipartUpload,
+  getListParams,
+  getResponseParams,
+  signS3UploadPart,
+} from './multipart.js';
+import { getAwsClient } from './keys.js';
+import { getIntegrityHeaders } from './integrity.js';
 
 /**
+ * @typedef {import('aws4fetch').AwsClient} AwsClient
  * @typedef {import('./index.js').PresignOptions} PresignOptions
  * @typedef {import('./index.js').Presigner} Presigner
+ * @typedef {import('./index.js').MultipartOptions} MultipartOptions
+ * @typedef {import('./index.js').PartUrlOptions} PartUrlOptions
+ * @typedef {import('./index.js').CompleteMultipartOptions} CompleteMultipartOptions
  */
 
 /**
@@ -11,6 +24,25 @@ import { AwsClient } from 'aws4fetch';
  * @implements {Presigner}
  */
 export class R2Presigner {
+  /**
+   * Longest expiry in seconds of a SigV4 presigned URL (7 days).
+   * @type {number}
+   */
+  maxExpiresIn = 7 * 24 * 60 * 60;
+
+  /**
+   * Whether `LIST` URLs can be generated. The prefix is part of the signed query.
+   * @type {boolean}
+   */
+  canList = true;
+
+  /**
+   * Whether the `Content-Type` and `Content-Length` headers of a `PUT` upload are signed, so the
+   * upload limits of a target or policy rule can be enforced.
+   * @type {boolean}
+   */
+  signsUploadHeaders = true;
+
   /**
    * AWS client for signing requests (R2 uses S3-compatible API).
    * @type {AwsClient}
@@ -62,7 +94,7 @@ export class R2Presigner {
     }
 
     // R2 uses S3-compatible API with 'auto' region
-    this.#client = new AwsClient({
+    this.#client = getAwsClient({
       accessKeyId: R2_ACCESS_KEY_ID,
       secretAccessKey: R2_SECRET_ACCESS_KEY,
       region: 'auto',
@@ -89,14 +121,33 @@ export class R2Presigner {
     return new URL(`https://${this.#accountId}.r2.cloudflarestorage.com/${bucketName}/${fullPath}`);
   }
 
+  /**
+   * Build the URL to list objects with `ListObjectsV2`. The path prefix is included in the signed
+   * query, so the listing cannot be widened beyond it.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {URL} Bucket URL with list parameters.
+   */
+  #buildListUrl({ path, bucket, delimiter, continuationToken, maxKeys }) {
+    const bucketName = bucket || this.#bucket;
+    const cleanPath = path.replace(/^\//, ''); // Remove leading slash
+    const prefix = this.#pathPrefix ? `${this.#pathPrefix}/${cleanPath}` : cleanPath;
+    const url = new URL(`https://${this.#accountId}.r2.cloudflarestorage.com/${bucketName}`);
+
+    url.search = new URLSearchParams(
+      getListParams({ prefix, delimiter, continuationToken, maxKeys }),
+    ).toString();
+
+    return url;
+  }
+
   /**
    * Generate a presigned URL for Cloudflare R2.
    * @param {PresignOptions} options - Presign options.
    * @returns {Promise<string>} Presigned URL.
    */
   async generatePresignedUrl(options) {
-    const { operation, path, contentType, bucket, expiresIn = 900 } = options;
-    const url = this.#buildUrl(path, bucket);
+    const { operation, path, bucket, responseOverrides, signedAt, expiresIn = 900 } = options;
+    const url = operation === 'LIST' ? this.#buildListUrl(options) : this.#buildUrl(path, bucket);
     // Determine HTTP method based on operation
     let method = 'GET';
 
@@ -104,28 +155,93 @@ export class R2Presigner {
       method = 'PUT';
     } else if (operation === 'DELETE') {
       method = 'DELETE';
+    } else if (operation === 'HEAD') {
+      method = 'HEAD';
     }
 
-    // Build headers
-    /** @type {Record<string, string>} */
-    const headers = {};
+    // aws4fetch reads the expiry from the URL, and defaults to 24 hours if it’s missing
+    url.searchParams.set('X-Amz-Expires', String(expiresIn));
 
-    if (contentType && operation === 'PUT') {
-      headers['Content-Type'] = contentType;
+    // Override the response headers of a download
+    if (operation === 'GET' || operation === 'HEAD') {
+      Object.entries(getResponseParams(responseOverrides)).forEach(([name, value]) => {
+        url.searchParams.set(name, value);
+      });
     }
 
-    // Create request to sign
-    const request = new Request(url.toString(), {
+    // Build headers. The content type and integrity headers are signed too, so the storage service
+    // rejects an upload that doesn’t match them
+    const headers = this.getRequiredHeaders(options);
+    const allHeaders = Object.keys(headers).length > 0;
+
+    // Sign the request with query parameters. The URL is passed as a string, because a `Request`
+    // would drop the `Content-Length` header
+    const signedRequest = await this.#client.sign(url.toString(), {
       method,
       headers,
-    });
-
-    // Sign the request with query parameters
-    const signedRequest = await this.#client.sign(request, {
-      aws: { signQuery: true },
-      expiresIn,
+      aws: {
+        signQuery: true,
+        allHeaders,
+        // A fixed signing time makes the URL deterministic
+        datetime: signedAt?.toISOString().replace(/[:-]|\.\d{3}/g, ''),
+      },
     });
 
     return signedRequest.url;
   }
+
+  /**
+   * Get the headers the client has to send with the presigned request: the content type and the
+   * integrity headers of a `PUT` upload.
+   * @param {PresignOptions} options - Presign options.
+   * @returns {Record<string, string>} Headers.
+   */
+  getRequiredHeaders(options) {
+    const { operation, contentType } = options;
+
+    return {
+      ...(contentType && operation === 'PUT' ? { 'Content-Type': contentType } : {}),
+      ...getIntegrityHeaders(options),
+    };
+  }
+
+  /**
+   * Start a multipart upload on Cloudflare R2.
+   * @param {MultipartOptions} options - Multipart options.
+   * @returns {Promise<string>} Upload ID.
+   */
+  async createMultipartUpload({ path, bucket, contentType }) {
+    return createS3MultipartUpload(this.#client, this.#buildUrl(path, bucket), contentType);
+  }
+
+  /**
+   * Generate a presigned URL to upload a part to Cloudflare R2.
+   * @param {PartUrlOptions} options - Part options.
+   * @returns {Promise<string>} Presigned URL.
+   */
+  async generatePartUrl({ path, bucket, uploadId, partNumber, expiresIn = 900 }) {
+    const url = this.#buildUrl(path, bucket);
+
+    return signS3UploadPart(this.#client, url, uploadId, partNumber, expiresIn);
+  }
+
+  /**
+   * Complete a multipart upload on Cloudflare R2.
+   * @param {CompleteMultipartOptions} options - Completion options.
+   * @returns {Promise<void>}
+   */
+  async completeMultipartUpload({ path, bucket, uploadId, parts }) {
+    const url = this.#buildUrl(path, bucket);
+
+    await completeS3MultipartUpload(this.#client, url, uploadId, parts);
+  }
+
+  /**
+   * Abort a multipart upload on Cloudflare R2.
+   * @param {MultipartOptions} options - Multipart options.
+   * @returns {Promise<void>}
+   */
+  async abortMultipartUpload({ path, bucket, uploadId }) {
+    await abortS3MultipartUpload(this.#client, this.#buildUrl(path, bucket), uploadId);
+  }
 }
@@ -0,0 +1,142 @@
+import { getPresigner, getStoragePresigner, hasStorageConfig } from './index.js';
+
+/**
+ * @typedef {import('./index.js').Presigner} Presigner
+ */
+
+/**
+ * @typedef {object} StorageTarget
+ * @property {string} [storage] - Name of a `STORAGE_<NAME>_*` configuration to use. The provider
+ * and credentials are then taken from that configuration.
+ * @property {string} [provider] - Storage provider. Auto-detected from environment variables if
+ * omitted.
+ * @property {string} [bucket] - Bucket or container name. The provider’s default bucket if omitted.
+ * @property {string} [prefix] - Path prefix prepended to every object path of the target.
+ * @property {number} [maxSize] - Maximum size in bytes of files uploaded with a POST policy.
+ * @property {string[]} [contentTypes] - Content types allowed for POST policy and multipart
+ * uploads, e.g. `image/*`.
+ */
+
+/**
+ * @typedef {object} ResolvedTarget
+ * @property {string} [name] - Target name, if a named target is used.
+ * @property {string} [storage] - Name of a `STORAGE_<NAME>_*` configuration.
+ * @property {string} [provider] - Storage provider.
+ * @property {string} [bucket] - Bucket or container name.
+ * @property {string} prefix - Normalized path prefix without leading/trailing slashes.
+ * @property {number} [maxSize] - Maximum size in bytes of files uploaded with a POST policy.
+ * @property {string[]} [contentTypes] - Content types allowed for POST policy and multipart
+ * uploads.
+ */
+
+/**
+ * @typedef {object} TargetResolution
+ * @property {ResolvedTarget} [target] - Resolved target.
+ * @property {string} [error] - Reason why the target cannot be used.
+ */
+
+/**
+ * Parse the `STORAGE_TARGETS` environment variable, a JSON object mapping target names to
+ * storage settings, e.g. `{ "media": { "provider": "r2", "bucket": "cms-media" } }`.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Record<string, StorageTarget>} Targets. Empty if none is configured.
+ * @throws {Error} If the variable is not a valid JSON object.
+ */
+export function getStorageTargets(env) {
+  const { STORAGE_TARGETS } = env;
+
+  if (!STORAGE_TARGETS) {
+    return {};
+  }
+
+  let targets;
+
+  try {
+    targets = JSON.parse(STORAGE_TARGETS);
+  } catch {
+    throw new Error('STORAGE_TARGETS must be valid JSON');
+  }
+
+  if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+    throw new Error('STORAGE_TARGETS must be a JSON object');
+  }
+
+  return targets;
+}
+
+/**
+ * Resolve the storage target of a presign request. A named target is looked up in
+ * `STORAGE_TARGETS`, while a raw bucket override has to be listed in `ALLOWED_BUCKETS`, so users
+ * cannot presign against arbitrary buckets the access keys can reach.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @param {object} args - Request fields.
+ * @param {string} [args.target] - Target name.
+ * @param {string} [args.provider] - Storage provider override.
+ * @param {string} [args.bucket] - Bucket override.
+ * @returns {TargetResolution} Resolved target or error.
+ * @throws {Error} If `STORAGE_TARGETS` is not valid.
+ */
+export function resolveTarget(env, { target, provider, bucket }) {
+  if (target) {
+    const targets = getStorageTargets(env);
+
+    // A named storage configuration can also be used as a target as is
+    if (!Object.hasOwn(targets, target)) {
+      return hasStorageConfig(target, env)
+        ? { target: { name: target, storage: target, prefix: '' } }
+        : { error: `Unknown storage target: ${target}` };
+    }
+
+    const {
+      storage,
+      provider: targetProvider,
+      bucket: targetBucket,
+      prefix = '',
+      maxSize,
+      contentTypes,
+    } = targets[target];
+
+    return {
+      target: {
+        name: target,
+        storage,
+        provider: targetProvider,
+        bucket: targetBucket,
+        prefix: prefix.replace(/^\/|\/$/g, ''), // Normalize: remove leading/trailing slashes
+        maxSize,
+        contentTypes,
+      },
+    };
+  }
+
+  if (bucket) {
+    const allowedBuckets = (env.ALLOWED_BUCKETS ?? '')
+      .split(',')
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+    if (!allowedBuckets.includes(bucket)) {
+      return { error: `Bucket is not allowed: ${bucket}` };
+    }
+  }
+
+  return { target: { provider, bucket, prefix: '' } };
+}
+
+/**
+ * Get the object path within the bucket for a path relative to the target.
+ * @param {ResolvedTarget} target - Resolved target.
+ * @param {string} path - Path relative to the target.
+ * @returns {string} Object path.
+ */
+export const getTargetPath = (target, path) => (target.prefix ? `${target.prefix}/${path}` : path);
+
+/**
+ * Get the presigner for a resolved target.
+ * @param {ResolvedTarget} target - Resolved target.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Presigner} Presigner instance.
+ * @throws {Error} If required environment variables are missing.
+ */
+export const getTargetPresigner = (target, env) =>
+  target.storage ? getStoragePresigner(target.storage, env) : getPresigner(target.provider, env);
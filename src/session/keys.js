@@ -0,0 +1,204 @@
+import { decodeProtectedHeader, importJWK, jwtVerify } from 'jose';
+
+/**
+ * @typedef {import('jose').JWK} JWK
+ * @typedef {import('jose').KeyLike} KeyLike
+ * @typedef {import('jose').JWTPayload} JWTPayload
+ * @typedef {import('jose').SignJWT} SignJWT
+ */
+
+/**
+ * @typedef {object} AsymmetricKey
+ * @property {string} kid - Key ID, sent in the `kid` header of the tokens it signs.
+ * @property {'ES256' | 'RS256'} alg - Signing algorithm.
+ * @property {KeyLike} [privateKey] - Private key. Missing for keys that only verify tokens, such
+ * as a retired key whose tokens haven’t expired yet.
+ * @property {KeyLike} publicKey - Public key.
+ * @property {JWK} publicJwk - Public key as published in the JWKS.
+ */
+
+/**
+ * Public members of the supported key types.
+ * @type {Record<string, string[]>}
+ */
+const PUBLIC_MEMBERS = {
+  EC: ['kty', 'crv', 'x', 'y'],
+  RSA: ['kty', 'n', 'e'],
+};
+
+/**
+ * Get the signing algorithm of a JWK.
+ * @param {JWK} jwk - JWK.
+ * @returns {'ES256' | 'RS256' | undefined} Algorithm, or `undefined` if the key is not supported.
+ */
+function getAlgorithm({ kty, crv, alg }) {
+  if (kty === 'EC' && crv === 'P-256' && (alg ?? 'ES256') === 'ES256') {
+    return 'ES256';
+  }
+
+  if (kty === 'RSA' && (alg ?? 'RS256') === 'RS256') {
+    return 'RS256';
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse the `JWT_SIGNING_KEYS` environment variable and import the keys.
+ * @param {string} config - JSON array of JWKs.
+ * @returns {Promise<AsymmetricKey[]>} Keys.
+ * @throws {Error} If the variable is not valid.
+ */
+async function importKeys(config) {
+  let jwks;
+
+  try {
+    jwks = JSON.parse(config);
+  } catch {
+    throw new Error('JWT_SIGNING_KEYS must be valid JSON');
+  }
+
+  if (!Array.isArray(jwks) || !jwks.length) {
+    throw new Error('JWT_SIGNING_KEYS must be a non-empty array of JWKs');
+  }
+
+  const kids = new Set();
+
+  return Promise.all(
+    jwks.map(async (/** @type {JWK} */ jwk) => {
+      const alg = getAlgorithm(jwk ?? {});
+
+      if (!alg) {
+        throw new Error('JWT_SIGNING_KEYS must only contain ES256 (P-256) or RS256 keys');
+      }
+
+      if (typeof jwk.kid !== 'string' || !jwk.kid || kids.has(jwk.kid)) {
+        throw new Error('Every key in JWT_SIGNING_KEYS must have a unique kid');
+      }
+
+      kids.add(jwk.kid);
+
+      /** @type {JWK} */
+      const publicJwk = Object.fromEntries(
+        PUBLIC_MEMBERS[/** @type {string} */ (jwk.kty)].map((name) => [name, jwk[name]]),
+      );
+
+      Object.assign(publicJwk, { kid: jwk.kid, alg, use: 'sig' });
+
+      try {
+        return {
+          kid: jwk.kid,
+          alg,
+          privateKey: jwk.d
+            ? /** @type {KeyLike} */ (await importJWK({ ...jwk, alg, key_ops: ['sign'] }, alg))
+            : undefined,
+          publicKey: /** @type {KeyLike} */ (await importJWK(publicJwk, alg)),
+          publicJwk,
+        };
+      } catch {
+        throw new Error(`Key ${jwk.kid} in JWT_SIGNING_KEYS cannot be imported`);
+      }
+    }),
+  );
+}
+
+/**
+ * Imported keys, keyed by the `JWT_SIGNING_KEYS` value, so they are only imported once per isolate.
+ * @type {Map<string, Promise<AsymmetricKey[]>>}
+ */
+const keyCache = new Map();
+
+/**
+ * Get the asymmetric keys configured with `JWT_SIGNING_KEYS`. A failed import is not cached, so
+ * it’s retried on the next request.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<AsymmetricKey[]>} Keys, the first one with a private key being the one used
+ * for signing.
+ * @throws {Error} If `JWT_SIGNING_KEYS` is not valid.
+ */
+async function getAsymmetricKeys(env) {
+  const { JWT_SIGNING_KEYS } = env;
+
+  if (!JWT_SIGNING_KEYS) {
+    return [];
+  }
+
+  let keys = keyCache.get(JWT_SIGNING_KEYS);
+
+  if (!keys) {
+    keys = importKeys(JWT_SIGNING_KEYS);
+    keyCache.set(JWT_SIGNING_KEYS, keys);
+    keys.catch(() => keyCache.delete(JWT_SIGNING_KEYS));
+  }
+
+  return keys;
+}
+
+/**
+ * Sign a session token. It’s signed with the first private key of `JWT_SIGNING_KEYS` if any, so
+ * other services can verify it with the published JWKS, or with `JWT_SECRET` otherwise.
+ * @param {SignJWT} jwt - Token to sign, without protected header.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<string>} Signed token.
+ * @throws {Error} If no signing key is configured, or `JWT_SIGNING_KEYS` is not valid.
+ */
+export async function signToken(jwt, env) {
+  const signingKey = (await getAsymmetricKeys(env)).find(({ privateKey }) => privateKey);
+
+  if (signingKey) {
+    const { kid, alg, privateKey } = signingKey;
+
+    return jwt.setProtectedHeader({ alg, kid }).sign(/** @type {KeyLike} */ (privateKey));
+  }
+
+  if (!env.JWT_SECRET) {
+    throw new Error('JWT_SECRET or JWT_SIGNING_KEYS is not configured');
+  }
+
+  return jwt.setProtectedHeader({ alg: 'HS256' }).sign(new TextEncoder().encode(env.JWT_SECRET));
+}
+
+/**
+ * Verify a session token. `HS256` tokens are accepted with `JWT_SECRET` or `JWT_SECRET_PREVIOUS`,
+ * and `ES256`/`RS256` tokens with the `JWT_SIGNING_KEYS` key matching their `kid`, so keys can be
+ * rotated without invalidating the sessions signed with the previous one.
+ * @param {string} token - Token.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<JWTPayload>} Payload.
+ * @throws {Error} If the token is invalid or expired, or no key can verify it.
+ */
+export async function verifyToken(token, env) {
+  const { alg, kid } = decodeProtectedHeader(token);
+
+  /** @type {(KeyLike | Uint8Array)[]} */
+  const candidates =
+    alg === 'HS256'
+      ? [env.JWT_SECRET, env.JWT_SECRET_PREVIOUS]
+          .filter(Boolean)
+          .map((secret) => new TextEncoder().encode(secret))
+      : (await getAsymmetricKeys(env))
+          .filter((key) => key.alg === alg && (kid === undefined || key.kid === kid))
+          .map(({ publicKey }) => publicKey);
+
+  if (!alg || !candidates.length) {
+    throw new Error('No key to verify the token');
+  }
+
+  // Resolves with the first key that verifies the token
+  const { payload } = await Promise.any(
+    candidates.map((key) => jwtVerify(token, key, { algorithms: [alg] })),
+  );
+
+  return payload;
+}
+
+/**
+ * Get the public keys of `JWT_SIGNING_KEYS`, to be published as a JWKS. Secrets are never
+ * included, so `HS256` tokens can’t be verified by other services.
+ * @param {{ [key: string]: string }} env - Environment variables.
+ * @returns {Promise<{ keys: JWK[] }>} JWKS.
+ * @throws {Error} If `JWT_SIGNING_KEYS` is not valid.
+ */
+export async function getJwks(env) {
+  return { keys: (await getAsymmetricKeys(env)).map(({ publicJwk }) => publicJwk) };
+}
@@ -0,0 +1,153 @@
+/**
+ * @typedef {import('../handlers/session.js').SessionPayload} SessionPayload
+ */
+
+/**
+ * Subset of the Workers KV namespace API used by the revocation store.
+ * @typedef {object} KVStore
+ * @property {(key: string) => Promise<string | null>} get - Read a value.
+ * @property {(key: string, value: string, options?: KVPutOptions) => Promise<void>} put - Write a
+ * value.
+ */
+
+/**
+ * @typedef {object} KVPutOptions
+ * @property {number} [expirationTtl] - Number of seconds after which the value expires.
+ */
+
+/**
+ * In-memory fallback store used when no KV namespace is bound, which is fine for local development.
+ * Entries only live as long as the isolate and are not shared between isolates, so it must not be
+ * relied on in production.
+ * @type {Map<string, { value: string, expiresAt: number }>}
+ */
+const memoryStore = new Map();
+
+/**
+ * Fallback store backed by `memoryStore`.
+ * @type {KVStore}
+ */
+const memoryKV = {
+  /**
+   * Read a value.
+   * @param {string} key - Key.
+   * @returns {Promise<string | null>} Value, or `null` if it’s missing or expired.
+   */
+  async get(key) {
+    const entry = memoryStore.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      memoryStore.delete(key);
+
+      return null;
+    }
+
+    return entry.value;
+  },
+  /**
+   * Write a value.
+   * @param {string} key - Key.
+   * @param {string} value - Value.
+   * @param {KVPutOptions} [options] - Options.
+   * @returns {Promise<void>}
+   */
+  async put(key, value, { expirationTtl } = {}) {
+    memoryStore.set(key, {
+      value,
+      expiresAt: expirationTtl ? Date.now() + expirationTtl * 1000 : Number.POSITIVE_INFINITY,
+    });
+  },
+};
+
+/**
+ * Minimum TTL in seconds accepted by Workers KV.
+ */
+const MIN_KV_TTL = 60;
+
+/**
+ * Get the revocation store: the `SESSION_REVOCATIONS` KV namespace if it’s bound, or the in-memory
+ * fallback.
+ * @param {{ [key: string]: unknown }} env - Environment variables and bindings.
+ * @returns {KVStore} Store.
+ */
+function getStore(env) {
+  return /** @type {KVStore | undefined} */ (env.SESSION_REVOCATIONS) ?? memoryKV;
+}
+
+/**
+ * Get the key that revokes all sessions of a user.
+ * @param {string} login - User login.
+ * @param {string} [provider] - OAuth provider. Any provider if omitted.
+ * @returns {string} Key.
+ */
+function getLoginKey(login, provider) {
+  return `login:${provider ?? '*'}:${login.toLowerCase()}`;
+}
+
+/**
+ * Revoke a single session until it expires.
+ * @param {{ [key: string]: unknown }} env - Environment variables and bindings.
+ * @param {SessionPayload} session - Session.
+ * @returns {Promise<void>}
+ * @throws {Error} If the session has no ID, which is the case for tokens issued before sessions
+ * could be revoked.
+ */
+export async function revokeSession(env, session) {
+  if (!session.jti) {
+    throw new Error('Session cannot be revoked');
+  }
+
+  const ttl = session.exp - Math.floor(Date.now() / 1000);
+
+  await getStore(env).put(`jti:${session.jti}`, '1', {
+    expirationTtl: Math.max(MIN_KV_TTL, ttl),
+  });
+}
+
+/**
+ * Revoke all sessions of a user issued before the current second. Issue times only have a
+ * precision of one second, so a session created right after the revocation stays valid. New
+ * sessions can be created afterwards, so the user should also lose access to the OAuth app or the
+ * repository.
+ * @param {{ [key: string]: unknown }} env - Environment variables and bindings.
+ * @param {object} args - Arguments.
+ * @param {string} args.login - User login.
+ * @param {string} [args.provider] - OAuth provider. All providers if omitted.
+ * @param {number} args.lifetime - Longest session lifetime in seconds. The revocation is kept
+ * until all revoked sessions have expired.
+ * @returns {Promise<number>} Revocation time in seconds since the epoch.
+ */
+export async function revokeLogin(env, { login, provider, lifetime }) {
+  const revokedAt = Math.floor(Date.now() / 1000);
+
+  await getStore(env).put(getLoginKey(login, provider), String(revokedAt), {
+    expirationTtl: Math.max(MIN_KV_TTL, lifetime),
+  });
+
+  return revokedAt;
+}
+
+/**
+ * Check if a session has been revoked, either on its own or with all sessions of its user.
+ * @param {{ [key: string]: unknown }} env - Environment variables and bindings.
+ * @param {SessionPayload} session - Session.
+ * @returns {Promise<boolean>} Result.
+ */
+export async function isSessionRevoked(env, session) {
+  const store = getStore(env);
+
+  const [revokedSession, ...revokedLogins] = await Promise.all([
+    session.jti ? store.get(`jti:${session.jti}`) : null,
+    ...(session.login
+      ? [
+          store.get(getLoginKey(session.login)),
+          store.get(getLoginKey(session.login, session.provider)),
+        ]
+      : []),
+  ]);
+
+  return (
+    !!revokedSession ||
+    revokedLogins.some((revokedAt) => revokedAt !== null && session.iat < Number(revokedAt))
+  );
+}
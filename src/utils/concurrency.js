@@ -0,0 +1,32 @@
+/**
+ * Map the items with an async function, running at most `limit` calls at a time. Results keep the
+ * order of the items.
+ * @template T, R
+ * @param {T[]} items - Items.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {(item: T, index: number) => Promise<R>} mapper - Async function.
+ * @returns {Promise<R[]>} Results.
+ */
+export async function mapConcurrent(items, limit, mapper) {
+  /** @type {R[]} */
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  /**
+   * Process items until none is left.
+   * @returns {Promise<void>}
+   */
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex;
+
+      nextIndex += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+
+  return results;
+}
@@ -0,0 +1,69 @@
+/**
+ * Parse the `ALLOWED_ORIGINS` environment variable.
+ * @param {{ [key: string]: string }} [env] - Environment variables.
+ * @returns {string[] | undefined} Allowed origins, or `undefined` if any origin is allowed.
+ */
+function getAllowedOrigins(env) {
+  const allowedOrigins = env?.ALLOWED_ORIGINS;
+
+  if (!allowedOrigins || allowedOrigins === '*') {
+    return undefined;
+  }
+
+  return allowedOrigins.split(',').map((s) => s.trim());
+}
+
+/**
+ * Get the CORS origin to allow for a request: the request origin if it’s listed in
+ * `ALLOWED_ORIGINS` or any origin is allowed, or the first allowed origin otherwise, so the
+ * browser blocks the response.
+ * @param {Request} [request] - HTTP request.
+ * @param {{ [key: string]: string }} [env] - Environment variables.
+ * @returns {string} CORS origin to use.
+ */
+function getCorsOrigin(request, env) {
+  const origin = request?.headers.get('Origin') || '*';
+  const allowedList = getAllowedOrigins(env);
+
+  if (allowedList) {
+    return allowedList.includes(origin) ? origin : allowedList[0] || '*';
+  }
+
+  return origin;
+}
+
+/**
+ * Get the CORS headers for a request. Credentialed requests, which send the session cookie, are
+ * only allowed from an origin listed in `ALLOWED_ORIGINS`, so any other site can’t use the session
+ * of a signed-in user when any origin is allowed.
+ * @param {Request} [request] - HTTP request.
+ * @param {{ [key: string]: string }} [env] - Environment variables.
+ * @returns {Record<string, string>} CORS headers.
+ */
+export function getCorsHeaders(request, env) {
+  const origin = request?.headers.get('Origin');
+  const credentials = !!origin && !!getAllowedOrigins(env)?.includes(origin);
+
+  return {
+    'Access-Control-Allow-Origin': getCorsOrigin(request, env),
+    ...(credentials ? { 'Access-Control-Allow-Credentials': 'true' } : {}),
+  };
+}
+
+/**
+ * Create JSON response with CORS headers.
+ * @param {object} data - Response data.
+ * @param {Request} [request] - Original request for CORS origin.
+ * @param {{ [key: string]: string }} [env] - Environment variables.
+ * @param {number} [status] - HTTP status code.
+ * @returns {Response} HTTP response.
+ */
+export function jsonResponse(data, request, env, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...getCorsHeaders(request, env),
+    },
+  });
+}